@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Create the product metafield definitions the sync writes to
+ * Same report as POST /metafields/definitions on shopifyProductSync
+ *
+ * Usage: node bootstrap-metafield-definitions.js [--dry-run]
+ */
+
+const { bootstrapMetafieldDefinitions } = require('./index.js');
+
+const dryRun = process.argv.includes('--dry-run');
+
+bootstrapMetafieldDefinitions({ dryRun })
+  .then((report) => {
+    console.log(JSON.stringify(report, null, 2));
+    if (report.failed.length || report.conflicts.length) {
+      process.exitCode = 1;
+    }
+  })
+  .catch((error) => {
+    console.error('Error:', error.message);
+    process.exit(1);
+  });
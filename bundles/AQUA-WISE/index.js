@@ -5,10 +5,18 @@ const {
   createProduct,
   createVariant,
   attachCollections,
+  preloadCollections,
   publishProduct,
   buildVariantInput,
   asSingleLineValue,
+  INVENTORY_COST_FIELDS,
 } = require('./shopify-helpers');
+const {
+  BUNDLE_RECORD_SCHEMA,
+  PRODUCT_RECORD_SCHEMA,
+  validateRecords,
+  resolveValidationMode,
+} = require('../../record-schema');
 
 function ensureArray(value) {
   if (!value) return [];
@@ -36,6 +44,14 @@ function mapIncludedProducts(bundle, productLookup) {
   return { included, missing, referencedIds };
 }
 
+// Field paths relative to the whole payload, e.g. `products[3].Image[0].url`.
+function prefixPaths(entry, collection) {
+  return entry.errors.map((error) => ({
+    ...error,
+    path: `${collection}[${entry.index}]${error.path ? `.${error.path}` : ''}`,
+  }));
+}
+
 function sumNumericField(records, field) {
   return records.reduce((total, record) => {
     const value = record?.[field];
@@ -152,6 +168,13 @@ function buildBundleProductRecord(bundle, includedProducts) {
     ? bundle['True Web Cost']
     : sumNumericField(includedProducts, 'True Web Cost') || undefined;
 
+  // The configured inventory cost fields are summed the same way, so the bundle's unit cost covers its components.
+  const resolvedCosts = {};
+  for (const field of INVENTORY_COST_FIELDS) {
+    const summed = Number(bundle[field]) > 0 ? bundle[field] : sumNumericField(includedProducts, field) || undefined;
+    resolvedCosts[field] = summed ?? bundle[field];
+  }
+
   const collections = mergeCollections(bundle, includedProducts);
 
   return {
@@ -164,6 +187,7 @@ function buildBundleProductRecord(bundle, includedProducts) {
     MSRP: resolvedCompareAtPrice ?? bundle.MSRP,
     'Vendor Price': resolvedVendorPrice ?? bundle['Vendor Price'],
     'True Web Cost': resolvedTrueWebCost ?? bundle['True Web Cost'],
+    ...resolvedCosts,
     SKU: resolveBundleSku(bundle),
     Vendor: bundle.Brand || bundle['Sub Brand'] || bundle.Vendor || 'AQUALIVIA',
     Category: bundle.Category || 'Bundles',
@@ -181,24 +205,56 @@ exports.createBundleProducts = async (req, res) => {
     return;
   }
 
-  const { bundles, products } = req.body || {};
+  const { bundles, products, validation } = req.body || {};
 
   if (!Array.isArray(bundles) || !Array.isArray(products)) {
     res.status(400).json({ error: 'Request body must include "bundles" and "products" arrays.' });
     return;
   }
 
+  const bundleCheck = validateRecords(bundles, BUNDLE_RECORD_SCHEMA);
+  const productCheck = validateRecords(products, PRODUCT_RECORD_SCHEMA);
+  const errors = [
+    ...bundleCheck.invalid.map((entry) => ({ ...entry, errors: prefixPaths(entry, 'bundles') })),
+    ...productCheck.invalid.map((entry) => ({ ...entry, errors: prefixPaths(entry, 'products') })),
+  ];
+  const validationMode = resolveValidationMode(req.query?.validation || validation);
+
+  if (errors.length && validationMode === 'strict') {
+    res.status(422).json({
+      error: `${errors.length} bundle payload records failed validation; nothing was created.`,
+      validation: validationMode,
+      errors,
+    });
+    return;
+  }
+
+  // Lenient: invalid products drop out of the lookup, so bundles that need them report them as missing.
   const productLookup = new Map();
-  for (const product of products) {
+  for (const product of productCheck.valid) {
     if (product && product.id) {
       productLookup.set(product.id, product);
     }
   }
 
-  const results = [];
+  const results = bundleCheck.invalid.map((entry) => ({
+    bundleId: entry.recordId || bundles[entry.index]?.['Bundle Name'] || 'unknown',
+    status: 'invalid',
+    errors: prefixPaths(entry, 'bundles'),
+  }));
   const collectionCache = new Map();
 
-  for (const bundle of bundles) {
+  // Bundles inherit their products' collections, so one index query covers every name.
+  try {
+    await preloadCollections(
+      bundleCheck.valid.concat(productCheck.valid).flatMap((record) => normaliseArray(record?.Collection)),
+      collectionCache
+    );
+  } catch (error) {
+    console.warn('Failed to preload collections', error.message);
+  }
+
+  for (const bundle of bundleCheck.valid) {
     const bundleId = bundle?.id || bundle?.['Bundle Name'] || 'unknown';
 
     try {
@@ -256,6 +312,7 @@ exports.createBundleProducts = async (req, res) => {
 
   res.status(200).json({
     processed: results.length,
+    ...(errors.length ? { invalid: errors } : {}),
     results,
   });
 };
@@ -2,12 +2,29 @@
 
 require('dotenv').config();
 
+const { loadMetafieldMapping, buildMappedMetafields } = require('../../metafield-mapping');
+const {
+  normaliseArray,
+  asSingleLineValue,
+  asMultiLineValue,
+  firstNumber,
+  toIntegerString,
+  toDecimalString,
+  parseMinMax,
+} = require('../../field-values');
+const { createCollectionIndex } = require('../../collection-index');
+
 const API_VERSION = process.env.SHOPIFY_ADMIN_API_VERSION || '2024-07';
 const SHOPIFY_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
 const SHOPIFY_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
 const GRAPHQL_URL = SHOPIFY_DOMAIN
   ? `https://${SHOPIFY_DOMAIN}/admin/api/${API_VERSION}/graphql.json`
   : null;
+const METAFIELD_MAPPING = loadMetafieldMapping(undefined, 'bundle');
+// Same settings as the product sync: the record field copied onto the inventory item unit cost, then its fallback.
+const INVENTORY_COST_FIELD = (process.env.INVENTORY_COST_FIELD || 'True Web Cost').trim();
+const INVENTORY_COST_FALLBACK_FIELD = (process.env.INVENTORY_COST_FALLBACK_FIELD || 'Vendor Price').trim();
+const INVENTORY_COST_FIELDS = [INVENTORY_COST_FIELD, INVENTORY_COST_FALLBACK_FIELD];
 
 /**
  * Basic HTML escaping to protect description payloads.
@@ -47,393 +64,9 @@ function toDescriptionHtml(product) {
   return sections.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('');
 }
 
-function normaliseArray(input) {
-  if (!input) {
-    return [];
-  }
-  if (Array.isArray(input)) {
-    return input;
-  }
-  return [input];
-}
-
-function asSingleLineValue(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-  if (Array.isArray(input)) {
-    return input.map((item) => String(item).trim()).filter(Boolean).join(', ');
-  }
-  const value = String(input).trim();
-  return value.length > 0 ? value : undefined;
-}
-
-function asMultiLineValue(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-  if (Array.isArray(input)) {
-    const joined = input.map((item) => String(item).trim()).filter(Boolean).join('\n');
-    return joined.length > 0 ? joined : undefined;
-  }
-  const value = String(input).trim();
-  return value.length > 0 ? value : undefined;
-}
-
-// --- Numeric parsing helpers for metafields ---
-function firstNumber(input) {
-  if (input === undefined || input === null) return undefined;
-  const text = Array.isArray(input) ? input.join(' ') : String(input);
-  const cleaned = text.replace(/,/g, ' ');
-  const match = cleaned.match(/-?\d+(\.\d+)?/);
-  if (!match) return undefined;
-  const num = Number(match[0]);
-  return Number.isNaN(num) ? undefined : num;
-}
-
-function toIntegerString(input) {
-  const n = firstNumber(input);
-  if (n === undefined) return undefined;
-  return String(Math.round(n));
-}
-
-function toDecimalString(input) {
-  const n = firstNumber(input);
-  if (n === undefined) return undefined;
-  return String(n);
-}
-
-function parseMinMax(input) {
-  if (input === undefined || input === null) return { min: undefined, max: undefined };
-  const text = Array.isArray(input) ? input.join(' ') : String(input);
-  const cleaned = text.replace(/,/g, ' ');
-  const matches = cleaned.match(/-?\d+(\.\d+)?/g) || [];
-  if (matches.length >= 2) {
-    const a = Number(matches[0]);
-    const b = Number(matches[1]);
-    const min = Math.min(a, b);
-    const max = Math.max(a, b);
-    return { min: String(min), max: String(max) };
-  }
-  if (matches.length === 1) {
-    const v = String(Number(matches[0]));
-    return { min: v, max: v };
-  }
-  return { min: undefined, max: undefined };
-}
- 
+// Same Airtable-to-metafield mapping as the product sync (metafield-mapping.json at the repository root)
 function buildMetafields(product) {
-  const metafields = [];
-
-  // Existing "custom" namespace mappings (kept for backward compatibility)
-  const singleLineMappings = [
-    { key: 'Occupants', source: product.Occupants },
-    { key: 'Household_Size', source: product['Household Size'] },
-    { key: 'Stories_Max', source: product['Stories Max'] },
-    { key: 'Max_Flow_GPM', source: product['Max Flow Rate GPM'] || product['Max Flow GPM'] },
-    { key: 'cu_ft', source: product['Cu.Ft'] },
-    { key: 'Tank_Size', source: product['Tank Size'] },
-    { key: 'Media_Type', source: product['Media Type'] },
-    { key: 'Capacity', source: product.Capacity },
-    { key: 'Valve', source: product.Valve },
-    { key: 'City_or_Well', source: product['City/Well'] },
-    { key: 'Product_Dimensions', source: product['Product Dimensions'] },
-    { key: 'Number_of_Bathroom', source: product['Number of Bathroom'] },
-    { key: 'Micron', source: product.Micron || product['Micron'] },
-    { key: 'Practical Service Flow', source: product['Practical Service Flow (gpm @ EBCT≈2 min)'] },
-    { key: 'Backwash', source: product['Backwash (DLFC) (gpm)'] },
-    { key: 'Product Weight lb', source: product['Product Weight lb'] },
-  ];
-
-  for (const mapping of singleLineMappings) {
-    const value = asSingleLineValue(mapping.source);
-    if (value) {
-      metafields.push({
-        namespace: 'custom',
-        key: mapping.key,
-        type: 'single_line_text_field',
-        value,
-      });
-    }
-  }
-
-  const contaminants = asMultiLineValue(product['Contaminants removed']);
-  if (contaminants) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'Contaminants_Removed',
-      type: 'multi_line_text_field',
-      value: contaminants,
-    });
-  }
-
-  const certifications = asSingleLineValue(product.Certifications);
-  if (certifications) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'Certifications',
-      type: 'single_line_text_field',
-      value: certifications,
-    });
-  }
-
-  const includedProducts = asMultiLineValue(product['Included Products']);
-  if (includedProducts) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'included_products',
-      type: 'multi_line_text_field',
-      value: includedProducts,
-    });
-  }
-
-  const includedProductIds = asMultiLineValue(product['Bundle Product IDs']);
-  if (includedProductIds) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'bundle_product_ids',
-      type: 'multi_line_text_field',
-      value: includedProductIds,
-    });
-  }
-
-  const bundleDetails = asMultiLineValue(product['Bundle Details']);
-  if (bundleDetails) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'bundle_details',
-      type: 'multi_line_text_field',
-      value: bundleDetails,
-    });
-  }
-
-  // --- New Shopify Product namespace metafields (namespace: "product") ---
-
-  // Input & Output Line (text)
-  const inputOutputLine =
-    asSingleLineValue(
-      product['Input & Output Line'] ||
-      product['Input Output Line'] ||
-      product['Input/Output Line'] ||
-      product['Input & Output'] ||
-      product['Input and Output Line'] ||
-      product['Input & Output Line Size']
-    );
-  if (inputOutputLine) {
-    metafields.push({
-      namespace: 'product',
-      key: 'input_output_line',
-      type: 'single_line_text_field',
-      value: inputOutputLine,
-    });
-  }
-
-  // System Capacity (GPD) - integer
-  const systemCapacityGpd = toIntegerString(
-    product['System Capacity'] ||
-    product.Capacity ||
-    product['System Capacity (GPD)'] ||
-    product['Capacity (GPD)']
-  );
-  if (systemCapacityGpd) {
-    metafields.push({
-      namespace: 'product',
-      key: 'system_capacity_gpd',
-      type: 'number_integer',
-      value: systemCapacityGpd,
-    });
-  }
-
-  // Feed Water Pressure (psi) - decimal
-  const feedWaterPressurePsi = toDecimalString(
-    product['Feed Water Pressure'] ||
-    product['Feed Water Pressure (psi)'] ||
-    product['Water Pressure'] ||
-    product['Pressure']
-  );
-  if (feedWaterPressurePsi) {
-    metafields.push({
-      namespace: 'product',
-      key: 'feed_water_pressure_psi',
-      type: 'number_decimal',
-      value: feedWaterPressurePsi,
-    });
-  }
-
-  // Feed Water Temperature (°C) min/max - decimal
-  // Detect if the provided values are in Fahrenheit and convert to Celsius if needed.
-  const rawTempSources = [
-    product['Feed Water Temperature Min'],
-    product['Feed Water Temp Min'],
-    product['Temperature Min (C)'],
-    product['Feed Water Temperature C Min'],
-    product['Feed Water Temperature Max'],
-    product['Feed Water Temp Max'],
-    product['Temperature Max (C)'],
-    product['Feed Water Temperature C Max'],
-    product['Feed Water Temperature'],
-    product['Feed Water Temp'],
-    product['Feed Water Temperature Range'],
-    product['Temperature'],
-  ].filter(Boolean);
-
-  const unitIsF = rawTempSources.some((val) => {
-    const text = Array.isArray(val) ? val.join(' ') : String(val);
-    return /(?:deg\s*F|°\s*F|\bF\b)/i.test(text);
-  });
-
-  let tempMin = toDecimalString(
-    product['Feed Water Temperature Min'] ||
-    product['Feed Water Temp Min'] ||
-    product['Temperature Min (C)'] ||
-    product['Feed Water Temperature C Min']
-  );
-  let tempMax = toDecimalString(
-    product['Feed Water Temperature Max'] ||
-    product['Feed Water Temp Max'] ||
-    product['Temperature Max (C)'] ||
-    product['Feed Water Temperature C Max']
-  );
-  if (!tempMin && !tempMax) {
-    const parsed = parseMinMax(
-      product['Feed Water Temperature'] ||
-      product['Feed Water Temp'] ||
-      product['Feed Water Temperature Range'] ||
-      product['Temperature']
-    );
-    tempMin = parsed.min || tempMin;
-    tempMax = parsed.max || tempMax;
-  }
-
-  if (unitIsF) {
-    const toC = (nStr) => {
-      const n = Number(nStr);
-      if (!Number.isFinite(n)) return nStr;
-      return String(((n - 32) * 5) / 9);
-    };
-    if (tempMin) tempMin = toC(tempMin);
-    if (tempMax) tempMax = toC(tempMax);
-  }
-
-  if (tempMin) {
-    metafields.push({
-      namespace: 'product',
-      key: 'feed_water_temperature_c_min',
-      type: 'number_decimal',
-      value: tempMin,
-    });
-  }
-  if (tempMax) {
-    metafields.push({
-      namespace: 'product',
-      key: 'feed_water_temperature_c_max',
-      type: 'number_decimal',
-      value: tempMax,
-    });
-  }
-
-  // Max Total Dissolved Solids (TDS, ppm) - integer
-  const maxTdsPpm = toIntegerString(
-    product['Max Total Dissolved Solids'] ||
-    product['Max Total Solids'] ||
-    product['Max Total Solid'] ||
-    product['Max TDS'] ||
-    product['TDS (max)']
-  );
-  if (maxTdsPpm) {
-    metafields.push({
-      namespace: 'product',
-      key: 'max_total_dissolved_solids_tds_ppm',
-      type: 'number_integer',
-      value: maxTdsPpm,
-    });
-  }
-
-  // Feed Water pH - decimal
-  const feedWaterPh = toDecimalString(
-    product['Feed Water pH'] ||
-    product['Feed Water ph'] ||
-    product['Feed water pH']
-  );
-  if (feedWaterPh) {
-    metafields.push({
-      namespace: 'product',
-      key: 'feed_water_ph',
-      type: 'number_decimal',
-      value: feedWaterPh,
-    });
-  }
-
-  // Source Type (City/Well) - text
-  const sourceType = asSingleLineValue(
-    product['City/Well'] ||
-    product['City or Well'] ||
-    product['city & well'] ||
-    product['Source Type']
-  );
-  if (sourceType) {
-    metafields.push({
-      namespace: 'product',
-      key: 'source_type',
-      type: 'single_line_text_field',
-      value: sourceType,
-    });
-  }
-
-  // Micron Rating (µm) - integer
-  const micronUm = toIntegerString(product['Micron'] || product.Micron);
-  if (micronUm) {
-    metafields.push({
-      namespace: 'product',
-      key: 'micron_rating_um',
-      type: 'number_integer',
-      value: micronUm,
-    });
-  }
-
-  // Voltage (VAC) - text to allow phase/Hz info
-  const voltageVac = asSingleLineValue(
-    product['Voltage'] ||
-    product['Volt'] ||
-    product['Valt'] ||
-    product['Voltage (VAC)']
-  );
-  if (voltageVac) {
-    metafields.push({
-      namespace: 'product',
-      key: 'voltage_vac',
-      type: 'single_line_text_field',
-      value: voltageVac,
-    });
-  }
-
-  // Media Type - text
-  const mediaType = asSingleLineValue(product['Media Type'] || product['Media']);
-  if (mediaType) {
-    metafields.push({
-      namespace: 'product',
-      key: 'media_type',
-      type: 'single_line_text_field',
-      value: mediaType,
-    });
-  }
-
-  // Brine Tank Size (text) - preserve descriptive values like 18"x36" Gray
-  const brineTankSizeText = asSingleLineValue(
-    product['Brine Tank Size'] ||
-    product['Brain Tank Size'] ||
-    product['Brine Tank (L)']
-  );
-  if (brineTankSizeText) {
-    metafields.push({
-      namespace: 'product',
-      key: 'brine_tank_size',
-      type: 'single_line_text_field',
-      value: brineTankSizeText,
-    });
-  }
-
-  return metafields;
+  return buildMappedMetafields(product, METAFIELD_MAPPING);
 }
 
 function buildProductInput(product) {
@@ -490,6 +123,17 @@ function buildProductMediaArray(product) {
   return media;
 }
 
+// Bundles carry the summed component costs from `buildBundleProductRecord`.
+function resolveInventoryCost(product) {
+  for (const field of INVENTORY_COST_FIELDS) {
+    const cost = firstNumber(product[field]);
+    if (cost !== undefined && cost > 0) {
+      return String(cost);
+    }
+  }
+  return undefined;
+}
+
 function buildVariantInput(product) {
   const price = product['Website Retail Price'];
   const compareAtPrice = product.MSRP;
@@ -504,6 +148,10 @@ function buildVariantInput(product) {
   if (sku) {
     inventoryItem.sku = String(sku);
   }
+  const cost = resolveInventoryCost(product);
+  if (cost !== undefined) {
+    inventoryItem.cost = cost;
+  }
 
   const variant = {
     price: price !== undefined && price !== null ? String(price) : undefined,
@@ -632,6 +280,10 @@ function buildVariantInputFromRecord(product, optionValue) {
   if (sku) {
     inventoryItem.sku = String(sku);
   }
+  const cost = resolveInventoryCost(product);
+  if (cost !== undefined) {
+    inventoryItem.cost = cost;
+  }
 
   const variant = {
     price: price !== undefined && price !== null ? String(price) : undefined,
@@ -765,19 +417,6 @@ mutation productVariantsBulkCreate(
 }
 `;
 
-const COLLECTION_SEARCH_QUERY = `
-query collectionByTitle($query: String!) {
-  collections(first: 1, query: $query) {
-    edges {
-      node {
-        id
-        title
-      }
-    }
-  }
-}
-`;
-
 const COLLECTION_ADD_MUTATION = `
 mutation collectionAddProducts($collectionId: ID!, $productIds: [ID!]!) {
   collectionAddProducts(id: $collectionId, productIds: $productIds) {
@@ -896,28 +535,8 @@ async function createVariant(productId, product) {
   };
 }
 
-async function findCollectionIdByName(name, cache) {
-  const trimmed = String(name || '').trim();
-  if (!trimmed) {
-    return null;
-  }
-
-  if (cache.has(trimmed)) {
-    return cache.get(trimmed);
-  }
-
-  const queryString = `title:'${trimmed.replace(/'/g, "\\'")}'`;
-  const response = await callShopify(
-    COLLECTION_SEARCH_QUERY,
-    { query: queryString },
-    'collectionSearch'
-  );
-
-  const node = response.data?.collections?.edges?.[0]?.node;
-  const collectionId = node?.id || null;
-  cache.set(trimmed, collectionId);
-  return collectionId;
-}
+// Same paged title/handle index as the product sync, kept per instance.
+const { preloadCollections, findCollectionIdByName } = createCollectionIndex({ callShopify });
 
 async function addProductToCollection(collectionId, productId) {
   console.log(`Adding product ${productId} to collection ${collectionId}`);
@@ -1026,6 +645,8 @@ const helpers = {
   buildMetafields,
   buildVariantInput,
   buildVariantInputFromRecord,
+  resolveInventoryCost,
+  INVENTORY_COST_FIELDS,
   createProduct,
   createVariant,
   createVariants,
@@ -1043,8 +664,10 @@ const helpers = {
   toDescriptionHtml,
   buildProductInput,
   findCollectionIdByName,
+  preloadCollections,
   addProductToCollection,
   getPublicationIds,
+  getGroupKey,
 };
 module.exports = {
   helpers,
@@ -1053,6 +676,8 @@ module.exports = {
   buildMetafields,
   buildVariantInput,
   buildVariantInputFromRecord,
+  resolveInventoryCost,
+  INVENTORY_COST_FIELDS,
   createProduct,
   createVariant,
   createVariants,
@@ -1070,6 +695,8 @@ module.exports = {
   toDescriptionHtml,
   buildProductInput,
   findCollectionIdByName,
+  preloadCollections,
   addProductToCollection,
   getPublicationIds,
+  getGroupKey,
 };
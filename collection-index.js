@@ -0,0 +1,158 @@
+'use strict';
+
+/**
+ * Collection title/handle index shared by the product sync and the bundle
+ * function. Every collection is loaded with one paged query instead of a
+ * `title:` search per name, and kept across invocations of a warm instance.
+ */
+
+const COLLECTION_INDEX_PAGE_SIZE = 250;
+// How long the collection title/handle index is reused across invocations of a warm instance.
+const COLLECTION_CACHE_TTL_MS = Number.isFinite(Number(process.env.COLLECTION_CACHE_TTL_MS))
+  ? Number(process.env.COLLECTION_CACHE_TTL_MS)
+  : 300000;
+
+const COLLECTION_INDEX_QUERY = `
+query collectionIndex($first: Int!, $after: String) {
+  collections(first: $first, after: $after) {
+    nodes {
+      id
+      title
+      handle
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+
+// Titles win over handles, so a collection titled like another's handle still resolves to itself.
+function lookupCollectionId(index, name) {
+  const key = String(name || '').trim().toLowerCase();
+  return index.byTitle.get(key) || index.byHandle.get(key) || null;
+}
+
+/**
+ * Creates an index that loads through the caller's `callShopify(query,
+ * variables, label)`. Each function module keeps one, so its warm instances
+ * share it across requests.
+ */
+function createCollectionIndex(options) {
+  const { callShopify, ttlMs = COLLECTION_CACHE_TTL_MS, pageSize = COLLECTION_INDEX_PAGE_SIZE } = options;
+  let collectionIndex = null;
+  let collectionIndexPromise = null;
+
+  /**
+   * Every collection keyed by lower-cased title and by handle, from one paged
+   * query. The index is kept for `ttlMs` so warm instances skip the query;
+   * `refresh` forces a reload.
+   */
+  async function getCollectionIndex(loadOptions = {}) {
+    if (!loadOptions.refresh && collectionIndex && Date.now() - collectionIndex.loadedAt < ttlMs) {
+      return collectionIndex;
+    }
+
+    if (!collectionIndexPromise) {
+      collectionIndexPromise = (async () => {
+        const byTitle = new Map();
+        const byHandle = new Map();
+        let after = null;
+        do {
+          // eslint-disable-next-line no-await-in-loop
+          const response = await callShopify(
+            COLLECTION_INDEX_QUERY,
+            { first: pageSize, after },
+            'collectionIndex'
+          );
+          const connection = response.data?.collections;
+          for (const node of connection?.nodes || []) {
+            const title = String(node.title || '').trim().toLowerCase();
+            if (title && !byTitle.has(title)) {
+              byTitle.set(title, node.id);
+            }
+            if (node.handle) {
+              byHandle.set(node.handle.toLowerCase(), node.id);
+            }
+          }
+          after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (after);
+        return { byTitle, byHandle, loadedAt: Date.now() };
+      })()
+        .then((index) => {
+          collectionIndex = index;
+          collectionIndexPromise = null;
+          return index;
+        })
+        .catch((error) => {
+          collectionIndexPromise = null;
+          throw error;
+        });
+    }
+
+    return collectionIndexPromise;
+  }
+
+  // Keeps collections created by the sync findable until the index is next reloaded.
+  function rememberCollection(collectionId, title, handle) {
+    if (!collectionIndex) {
+      return;
+    }
+    collectionIndex.byTitle.set(String(title).trim().toLowerCase(), collectionId);
+    if (handle) {
+      collectionIndex.byHandle.set(handle.toLowerCase(), collectionId);
+    }
+  }
+
+  /**
+   * Resolves every distinct name up front and seeds the per-request `cache`.
+   * When a name is missing from an index loaded by an earlier request, the
+   * index is reloaded once in case the collection was added since.
+   */
+  async function preloadCollections(names, cache) {
+    const pending = Array.from(new Set(names.map((name) => String(name || '').trim()).filter(Boolean)))
+      .filter((name) => !cache.has(name));
+    if (!pending.length) {
+      return;
+    }
+
+    const warmIndex = collectionIndex;
+    let index = await getCollectionIndex();
+    if (index === warmIndex && pending.some((name) => !lookupCollectionId(index, name))) {
+      index = await getCollectionIndex({ refresh: true });
+    }
+    for (const name of pending) {
+      cache.set(name, Promise.resolve(lookupCollectionId(index, name)));
+    }
+  }
+
+  async function findCollectionIdByName(name, cache) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    // The cache holds in-flight lookups too, so concurrent groups share one lookup per name.
+    if (cache.has(trimmed)) {
+      return cache.get(trimmed);
+    }
+
+    const lookup = getCollectionIndex().then((index) => lookupCollectionId(index, trimmed));
+
+    cache.set(trimmed, lookup);
+    try {
+      return await lookup;
+    } catch (error) {
+      cache.delete(trimmed);
+      throw error;
+    }
+  }
+
+  return { getCollectionIndex, rememberCollection, preloadCollections, findCollectionIdByName };
+}
+
+module.exports = {
+  COLLECTION_CACHE_TTL_MS,
+  createCollectionIndex,
+};
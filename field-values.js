@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Airtable field value normalisation shared by the product sync, the bundle
+ * function and the metafield mapping.
+ */
+
+function normaliseArray(input) {
+  if (!input) {
+    return [];
+  }
+  if (Array.isArray(input)) {
+    return input;
+  }
+  return [input];
+}
+
+function asSingleLineValue(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+  if (Array.isArray(input)) {
+    return input
+      .map((item) => String(item).trim().replace(/\s+/g, ' '))
+      .map((value) => value.trim())
+      .filter(Boolean)
+      .join(', ')
+      .trim() || undefined;
+  }
+  const value = String(input).trim();
+  if (!value.length) {
+    return undefined;
+  }
+
+  const normalised = value.replace(/\s+/g, ' ').trim();
+  return normalised.length > 0 ? normalised : undefined;
+}
+
+function asMultiLineValue(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+  if (Array.isArray(input)) {
+    const joined = input.map((item) => String(item).trim()).filter(Boolean).join('\n');
+    return joined.length > 0 ? joined : undefined;
+  }
+  const value = String(input).trim();
+  return value.length > 0 ? value : undefined;
+}
+
+// --- Numeric parsing helpers for metafields ---
+function firstNumber(input) {
+  if (input === undefined || input === null) return undefined;
+  const text = Array.isArray(input) ? input.join(' ') : String(input);
+  const cleaned = text.replace(/,/g, ' ');
+  const match = cleaned.match(/-?\d+(\.\d+)?/);
+  if (!match) return undefined;
+  const num = Number(match[0]);
+  return Number.isNaN(num) ? undefined : num;
+}
+
+function toIntegerString(input) {
+  const n = firstNumber(input);
+  if (n === undefined) return undefined;
+  return String(Math.round(n));
+}
+
+function toDecimalString(input) {
+  const n = firstNumber(input);
+  if (n === undefined) return undefined;
+  return String(n);
+}
+
+function parseMinMax(input) {
+  if (input === undefined || input === null) return { min: undefined, max: undefined };
+  const text = Array.isArray(input) ? input.join(' ') : String(input);
+  const cleaned = text.replace(/,/g, ' ');
+  const matches = cleaned.match(/-?\d+(\.\d+)?/g) || [];
+  if (matches.length >= 2) {
+    const a = Number(matches[0]);
+    const b = Number(matches[1]);
+    const min = Math.min(a, b);
+    const max = Math.max(a, b);
+    return { min: String(min), max: String(max) };
+  }
+  if (matches.length === 1) {
+    const v = String(Number(matches[0]));
+    return { min: v, max: v };
+  }
+  return { min: undefined, max: undefined };
+}
+
+module.exports = {
+  normaliseArray,
+  asSingleLineValue,
+  asMultiLineValue,
+  firstNumber,
+  toIntegerString,
+  toDecimalString,
+  parseMinMax,
+};
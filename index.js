@@ -2,16 +2,98 @@
 
 require('dotenv').config();
 
+const { AsyncLocalStorage } = require('node:async_hooks');
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+
+const { escapeHtml, markdownToDivHtml } = require('./markdown');
+const {
+  normaliseArray,
+  asSingleLineValue,
+  asMultiLineValue,
+  firstNumber,
+  toIntegerString,
+  toDecimalString,
+  parseMinMax,
+} = require('./field-values');
+const { loadMetafieldMapping, buildMappedMetafields, findUnmappedFields } = require('./metafield-mapping');
+const { PRODUCT_RECORD_SCHEMA, validateRecords, resolveValidationMode } = require('./record-schema');
+const { createCollectionIndex } = require('./collection-index');
+// Re-exported so the bundle function deploys from the repository root, where the shared modules above live.
+const { createBundleProducts } = require('./bundles/AQUA-WISE');
+
 const API_VERSION = process.env.SHOPIFY_ADMIN_API_VERSION || '2024-07';
+// productSet (with `files` and variant `inventoryItem`) needs a newer Admin API than the default.
+const PRODUCT_SET_API_VERSION = process.env.SHOPIFY_PRODUCT_SET_API_VERSION || '2024-10';
+// The `adminFilterable` definition capability needs Admin API 2024-10 or newer.
+const METAFIELD_DEFINITION_API_VERSION = API_VERSION > '2024-10' ? API_VERSION : '2024-10';
+const WRITE_MODE = process.env.SHOPIFY_WRITE_MODE || 'legacy';
+const PRODUCT_SET_ASYNC_VARIANT_THRESHOLD = Number(process.env.PRODUCT_SET_ASYNC_VARIANT_THRESHOLD) || 50;
+const PRODUCT_SET_POLL_INTERVAL_MS = 1000;
+const PRODUCT_SET_POLL_TIMEOUT_MS = 120000;
+const BULK_OPERATION_POLL_INTERVAL_MS = Number(process.env.BULK_OPERATION_POLL_INTERVAL_MS) || 5000;
+const BULK_OPERATION_POLL_TIMEOUT_MS = Number(process.env.BULK_OPERATION_POLL_TIMEOUT_MS) || 540000;
+const SHOPIFY_MAX_RETRIES = Number.isFinite(Number(process.env.SHOPIFY_MAX_RETRIES))
+  ? Number(process.env.SHOPIFY_MAX_RETRIES)
+  : 4;
+const SHOPIFY_RETRY_BASE_DELAY_MS = Number(process.env.SHOPIFY_RETRY_BASE_DELAY_MS) || 500;
+const SHOPIFY_RETRY_MAX_DELAY_MS = 30000;
+// Used until Shopify has reported the actual cost of a given request label.
+const DEFAULT_QUERY_COST_ESTIMATE = 50;
+const SYNC_CONCURRENCY = Number(process.env.SYNC_CONCURRENCY) || 4;
+const MAX_SYNC_CONCURRENCY = 16;
+// Location used for `Inventory Quantity` when a record does not name one.
+const DEFAULT_INVENTORY_LOCATION = (process.env.DEFAULT_INVENTORY_LOCATION || '').trim();
+const INVENTORY_LOCATION_FIELD_PATTERN = /^Inventory Quantity \((.+)\)$/i;
+// Record field copied onto the inventory item unit cost, and the field used when it is empty.
+const INVENTORY_COST_FIELD = (process.env.INVENTORY_COST_FIELD || 'True Web Cost').trim();
+const INVENTORY_COST_FALLBACK_FIELD = (process.env.INVENTORY_COST_FALLBACK_FIELD || 'Vendor Price').trim();
+const PRODUCT_DELETE_ENABLED = asBooleanFlag(process.env.PRODUCT_DELETE_ENABLED);
+// Default for creating `Collection` values that do not exist yet; requests can override it with `createCollections`.
+const CREATE_MISSING_COLLECTIONS = asBooleanFlag(process.env.CREATE_MISSING_COLLECTIONS);
+// Opt-in: updates take products out of collections their records no longer list.
+const PRUNE_COLLECTIONS = asBooleanFlag(process.env.PRUNE_COLLECTIONS);
+// Collection titles or handles: the denylist is never pruned; a non-empty allowlist limits pruning to itself.
+const PROTECTED_COLLECTIONS = parseCollectionList(process.env.PROTECTED_COLLECTIONS);
+const PRUNABLE_COLLECTIONS = parseCollectionList(process.env.PRUNABLE_COLLECTIONS);
+// Optional tag added to every synced product so the catalog reconciliation can find them.
+const MANAGED_PRODUCT_TAG = (process.env.MANAGED_PRODUCT_TAG || '').trim();
+const RECONCILE_PAGE_SIZE = 25;
+const AIRTABLE_API_KEY = process.env.AIRTABLE_API_KEY;
+const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID;
+const AIRTABLE_TABLE_NAME = process.env.AIRTABLE_TABLE_NAME;
+const JOB_STORE = process.env.JOB_STORE || 'memory';
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(os.tmpdir(), 'aqua-wise-jobs');
+// Base URL of this function; async jobs run in their own POST <url>/jobs/:id/run request.
+const SYNC_JOB_WORKER_URL = (process.env.SYNC_JOB_WORKER_URL || '').trim().replace(/\/+$/, '');
+const SYNC_JOB_WORKER_TOKEN = (process.env.SYNC_JOB_WORKER_TOKEN || '').trim();
+const SYNC_JOB_DISPATCH_TIMEOUT_MS = Number(process.env.SYNC_JOB_DISPATCH_TIMEOUT_MS || 10000);
 const SHOPIFY_DOMAIN = process.env.SHOPIFY_STORE_DOMAIN;
 const SHOPIFY_TOKEN = process.env.SHOPIFY_ADMIN_ACCESS_TOKEN;
-const GRAPHQL_URL = SHOPIFY_DOMAIN
-  ? `https://${SHOPIFY_DOMAIN}/admin/api/${API_VERSION}/graphql.json`
-  : null;
+const GRAPHQL_URL = getGraphqlUrl(API_VERSION);
 const SHOPIFY_STOREFRONT_DOMAIN = (process.env.SHOPIFY_STOREFRONT_DOMAIN || 'www.aqualivia.com')
   .replace(/^https?:\/\//, '')
   .replace(/\/$/, '');
 
+function parseCollectionList(value) {
+  return (value || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getGraphqlUrl(apiVersion) {
+  return SHOPIFY_DOMAIN
+    ? `https://${SHOPIFY_DOMAIN}/admin/api/${apiVersion}/graphql.json`
+    : null;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 function slugifySegment(value) {
   if (value === undefined || value === null) {
     return undefined;
@@ -127,29 +209,105 @@ function resolveProductUrl(options = {}) {
   return null;
 }
 
-// Temporary flag to disable grouping: each incoming record is treated as its own product.
-const GROUPING_ENABLED = false;
-
-/**
- * Basic HTML escaping to protect description payloads.
- */
-function escapeHtml(value) {
-  return value
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-function escapeHtmlAttribute(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+// Airtable field -> metafield mapping, `METAFIELD_MAPPING_PATH` or metafield-mapping.json.
+const METAFIELD_MAPPING = loadMetafieldMapping();
+const AIRTABLE_RECORD_ID_METAFIELD = { namespace: 'custom', key: 'airtable_record_id' };
+const PRODUCT_DOCUMENTATION_METAFIELD = { namespace: 'custom', key: 'product_documentation', type: 'list.file_reference' };
+
+// Default for grouping variant rows into one product; requests can override it with `grouping`.
+const GROUPING_ENABLED = asBooleanFlag(process.env.GROUPING_ENABLED);
+
+// What the sync does when a record fails a pricing check: `block`, `draft` or `warn`.
+const PRICING_POLICIES = ['block', 'draft', 'warn'];
+const PRICING_POLICY = PRICING_POLICIES.includes(process.env.PRICING_POLICY) ? process.env.PRICING_POLICY : 'warn';
+// Price moves larger than this share of the current Shopify price are flagged.
+const PRICE_CHANGE_THRESHOLD_PERCENT = Number(process.env.PRICE_CHANGE_THRESHOLD_PERCENT) || 50;
+
+const RECORD_ID_FIELDS = ['id', 'Id', 'ID', 'recordId', 'record_id', 'Record ID', 'Record Id', 'RecordID', 'Recordid'];
+const SHOPIFY_PRODUCT_ID_FIELDS = [
+  'Shopify Product Id',
+  'Shopify Product ID',
+  'shopify_product_id',
+  'ShopifyProductId',
+  'shopifyProductId',
+];
+const ADDON_REFERENCE_FIELDS = [
+  'Shopify Product Id (from Add-ons)',
+  'Shopify Product ID (from Add-ons)',
+  'Shopify Product Id (From Add-ons)',
+  'Shopify Product Id (from add-ons)',
+  'Shopify Product Id (from Optional Upgrades)',
+  'ShopifyProductIdFromAddOns',
+  'shopify_product_id_from_addons',
+  'Shopify Product Id (Add-ons)',
+];
+const VARIANT_REFERENCE_FIELDS = [
+  'Shopify Product Id (from Variants)',
+  'Shopify Product ID (from Variants)',
+  'Shopify Product Id (Variants)',
+  'Shopify Product ID (Variants)',
+  'ShopifyProductIdFromVariants',
+  'shopify_product_id_from_variants',
+  'Shopify Product Id (from variant records)',
+  'Shopify Product Id (From Occupants Variants)',
+  'Shopify Product ID (From Occupants Variants)',
+  'Shopify Product Id (Occupants Variants)',
+  'Shopify Product ID (Occupants Variants)',
+];
+// Every other field the sync reads itself; metafield fields come from METAFIELD_MAPPING.
+const RECORD_FIELDS = [
+  ...RECORD_ID_FIELDS,
+  ...SHOPIFY_PRODUCT_ID_FIELDS,
+  ...ADDON_REFERENCE_FIELDS,
+  ...VARIANT_REFERENCE_FIELDS,
+  'Shopify Product Id (from Replacements)',
+  'ProductID',
+  'Product Name',
+  'Name',
+  'Description',
+  'Category',
+  'Brand',
+  'Sub Brand',
+  'Vendor',
+  'Collection',
+  'Problems solved (keywords)',
+  'SKU',
+  'Website Retail Price',
+  'MSRP',
+  'Vendor Price',
+  'True Web Cost',
+  INVENTORY_COST_FIELD,
+  INVENTORY_COST_FALLBACK_FIELD,
+  'Inventory Quantity',
+  'Track Inventory',
+  'available',
+  'Sell on Website',
+  'Discontinued',
+  'Image',
+  'Product Documentation',
+  'Tank Size',
+  'Handle',
+  'handle',
+  'Product Handle',
+  'Product Group',
+  'Parent ID',
+  'Link to Product Page',
+  'Link to Product',
+  'URL',
+  'Product URL',
+  'Option 1 Name',
+  'Option 1 Value',
+  'Option 2 Name',
+  'Option 2 Value',
+  'Option 3 Name',
+  'Option 3 Value',
+];
+const RECORD_FIELD_PATTERNS = [INVENTORY_LOCATION_FIELD_PATTERN];
+// Airtable columns the sync deliberately ignores, kept out of the unmapped field report.
+const IGNORED_RECORD_FIELDS = (process.env.IGNORED_RECORD_FIELDS || '')
+  .split(',')
+  .map((field) => field.trim())
+  .filter(Boolean);
 
 function splitParagraphs(value) {
   return value
@@ -158,376 +316,6 @@ function splitParagraphs(value) {
     .filter((segment) => segment.length > 0);
 }
 
-function renderInlineMarkdown(text, depth = 0) {
-  if (text === undefined || text === null) {
-    return '';
-  }
-
-  const MAX_DEPTH = 10;
-  const content = String(text);
-  if (!content.trim()) {
-    return '';
-  }
-
-  const placeholders = [];
-  const placeholderFor = (html) => {
-    const key = `@@MDPH${placeholders.length}@@`;
-    placeholders.push({
-      key,
-      placeholder: `@@MD${placeholders.length}@@`,
-      html,
-    });
-    return placeholders[placeholders.length - 1].placeholder;
-  };
-
-  let working = content;
-
-  const transformers = [
-    {
-      regex: /`([^`]+)`/g,
-      handler: (match, code) => placeholderFor(`<code>${escapeHtml(code)}</code>`),
-    },
-    {
-      regex: /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
-      handler: (match, label, href) => {
-        const safeHref = escapeHtmlAttribute(href);
-        const inner = depth < MAX_DEPTH ? renderInlineMarkdown(label, depth + 1) : escapeHtml(label);
-        return placeholderFor(`<a href="${safeHref}" target="_blank" rel="noopener noreferrer">${inner}</a>`);
-      },
-    },
-  ];
-
-  const renderNested = (value, tag) => {
-    const inner = depth < MAX_DEPTH ? renderInlineMarkdown(value, depth + 1) : escapeHtml(value);
-    return placeholderFor(`<${tag}>${inner}</${tag}>`);
-  };
-
-  const styleTransformers = [
-    {
-      regex: /\*\*([^*]+)\*\*/g,
-      handler: (match, boldText) => renderNested(boldText, 'strong'),
-    },
-    {
-      regex: /__([^_]+)__/g,
-      handler: (match, boldText) => renderNested(boldText, 'strong'),
-    },
-    {
-      regex: /(?<!\*)\*([^*]+)\*(?!\*)/g,
-      handler: (match, italicText) => renderNested(italicText, 'em'),
-    },
-    {
-      regex: /(?<!_)_([^_]+)_(?!_)/g,
-      handler: (match, italicText) => renderNested(italicText, 'em'),
-    },
-  ];
-
-  for (const transformer of transformers) {
-    working = working.replace(transformer.regex, transformer.handler);
-  }
-
-  for (const transformer of styleTransformers) {
-    working = working.replace(transformer.regex, transformer.handler);
-  }
-
-  let escaped = escapeHtml(working);
-
-  for (const { key, placeholder, html } of placeholders) {
-    const placeholderPattern = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-    escaped = escaped.replace(placeholderPattern, key);
-  }
-
-  for (const { key, html } of placeholders) {
-    const pattern = new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
-    escaped = escaped.replace(pattern, html);
-  }
-
-  return escaped;
-}
-
-function markdownToDivHtml(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-
-  const text = String(input);
-  if (!text.trim()) {
-    return undefined;
-  }
-
-  const lines = text.split(/\r?\n/);
-  const segments = [];
-  let paragraphBuffer = [];
-  let listContext = null;
-
-  const flushParagraph = () => {
-    if (!paragraphBuffer.length) {
-      return;
-    }
-    const textContent = paragraphBuffer.join(' ').replace(/\s+/g, ' ').trim();
-    if (textContent) {
-      segments.push(`<div class="paragraph">${renderInlineMarkdown(textContent)}</div>`);
-    }
-    paragraphBuffer = [];
-  };
-
-  const flushList = () => {
-    if (!listContext || !listContext.items.length) {
-      listContext = null;
-      return;
-    }
-    const isOrdered = listContext.type === 'ordered';
-    const listTag = isOrdered ? 'ol' : 'ul';
-    const className = isOrdered ? 'list list-ordered' : 'list list-unordered';
-    const startValue = isOrdered && listContext.items[0].ordinal ? listContext.items[0].ordinal : 1;
-    const startAttr = isOrdered && startValue !== 1 ? ` start="${startValue}"` : '';
-    const items = listContext.items
-      .filter((item) => item.content && item.content.trim())
-      .map((item, index) => {
-        const valueAttr = isOrdered && item.ordinal && item.ordinal !== startValue + index
-          ? ` value="${item.ordinal}"`
-          : '';
-        return `<li${valueAttr}>${renderInlineMarkdown(item.content)}</li>`;
-      })
-      .join('');
-    if (items) {
-      segments.push(`<div class="${className}"><${listTag}${startAttr}>${items}</${listTag}></div>`);
-    }
-    listContext = null;
-  };
-
-  const ensureList = (type) => {
-    if (!listContext || listContext.type !== type) {
-      flushParagraph();
-      flushList();
-      listContext = { type, items: [] };
-    }
-  };
-
-  for (const rawLine of lines) {
-    const trimmed = rawLine.trim();
-
-    if (!trimmed) {
-      if (listContext) {
-        listContext.items.push({ ordinal: null, content: '' });
-      } else {
-        flushParagraph();
-      }
-      continue;
-    }
-
-    const headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
-    if (headingMatch) {
-      flushParagraph();
-      flushList();
-      const level = Math.min(headingMatch[1].length, 6);
-      segments.push(`<div class="heading heading-${level}">${renderInlineMarkdown(headingMatch[2])}</div>`);
-      continue;
-    }
-
-    if (/^(-{3,}|_{3,}|\*{3,})$/.test(trimmed)) {
-      flushParagraph();
-      flushList();
-      segments.push('<div class="divider"></div>');
-      continue;
-    }
-
-    const blockquoteMatch = trimmed.match(/^>\s?(.*)$/);
-    if (blockquoteMatch) {
-      flushParagraph();
-      flushList();
-      segments.push(`<div class="blockquote">${renderInlineMarkdown(blockquoteMatch[1])}</div>`);
-      continue;
-    }
-
-    const orderedMatch = trimmed.match(/^(\d+)[.)]\s+(.*)$/);
-    if (orderedMatch && orderedMatch[2].trim()) {
-      ensureList('ordered');
-      listContext.items.push({ ordinal: Number(orderedMatch[1]), content: orderedMatch[2] });
-      continue;
-    }
-
-    const unorderedMatch = trimmed.match(/^[-*+]\s+(.*)$/);
-    if (unorderedMatch && unorderedMatch[1].trim()) {
-      ensureList('unordered');
-      listContext.items.push({ ordinal: null, content: unorderedMatch[1] });
-      continue;
-    }
-
-    if (/^[-–—]$/.test(trimmed)) {
-      flushParagraph();
-      continue;
-    }
-
-    const dashParagraph = trimmed.match(/^[-–—]\s*(.*)$/);
-    if (dashParagraph && dashParagraph[1]) {
-      flushParagraph();
-      paragraphBuffer.push(dashParagraph[1]);
-      continue;
-    }
-
-    flushList();
-    paragraphBuffer.push(trimmed);
-  }
-
-  flushParagraph();
-  flushList();
-
-  return segments.join('');
-}
-
-function markdownToHtml(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-
-  const text = String(input);
-  if (!text.trim()) {
-    return undefined;
-  }
-
-  const lines = text.split(/\r?\n/);
-  const segments = [];
-  let paragraphBuffer = [];
-  let listContext = null; // { type: 'ordered' | 'unordered', items: Array<{ ordinal?: number, content: string }> }
-
-  const flushParagraph = () => {
-    if (!paragraphBuffer.length) {
-      return;
-    }
-    const renderedLines = paragraphBuffer
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0)
-      .map((line) => renderInlineMarkdown(line));
-    if (renderedLines.length) {
-      segments.push(`<p>${renderedLines.join('<br />\n')}</p>`);
-    }
-    paragraphBuffer = [];
-  };
-
-  const flushList = () => {
-    if (!listContext || !listContext.items.length) {
-      listContext = null;
-      return;
-    }
-    const isOrdered = listContext.type === 'ordered';
-    const tag = isOrdered ? 'ol' : 'ul';
-    const startValue = isOrdered && listContext.items[0].ordinal ? listContext.items[0].ordinal : 1;
-    const startAttr = isOrdered && startValue !== 1 ? ` start="${startValue}"` : '';
-    const styleAttr = isOrdered
-      ? ' style="padding-left: 25px;"'
-      : ' style="list-style-type: disc; padding-left: 25px;"';
-    let items = '';
-    const filtered = listContext.items.filter((item) => (item.content || '').trim().length > 0);
-    for (let i = 0; i < filtered.length; i += 1) {
-      const item = filtered[i];
-      const valueAttr = isOrdered && item.ordinal && item.ordinal !== startValue + i
-        ? ` value="${item.ordinal}"`
-        : '';
-
-      if (!isOrdered) {
-        const content = (item.content || '').trim();
-        const endsWithColon = /:\s*$/.test(content);
-        const hasNext = i + 1 < filtered.length;
-        if (endsWithColon && hasNext) {
-          const next = filtered[i + 1];
-          const nested = `<ul style="list-style-type: circle; padding-left: 20px;"><li>${renderInlineMarkdown(next.content)}</li></ul>`;
-          items += `<li>${renderInlineMarkdown(content.replace(/:\s*$/, ''))}${nested}</li>`;
-          i += 1; // consume the next item as nested
-          continue;
-        }
-      }
-
-      items += `<li${valueAttr}>${renderInlineMarkdown(item.content)}</li>`;
-    }
-    if (items) {
-      segments.push(`<${tag}${startAttr}${styleAttr}>${items}</${tag}>`);
-    }
-    listContext = null;
-  };
-
-  const ensureList = (type) => {
-    if (!listContext || listContext.type !== type) {
-      flushParagraph();
-      flushList();
-      listContext = { type, items: [] };
-    }
-  };
-
-  for (const rawLine of lines) {
-    const trimmed = rawLine.trim();
-
-    if (!trimmed) {
-      if (listContext) {
-        // Allow blank lines within lists without breaking the list; treat as soft break inside item if needed later
-        // Here we simply ignore to avoid empty <li>
-      } else {
-        flushParagraph();
-      }
-      continue;
-    }
-
-    const headingMatch = trimmed.match(/^(#{1,6})\s*(.*)$/);
-    if (headingMatch) {
-      flushParagraph();
-      flushList();
-      const level = Math.min(headingMatch[1].length, 6);
-      const content = headingMatch[2] || '';
-      segments.push(`<h${level}>${renderInlineMarkdown(content)}</h${level}>`);
-      continue;
-    }
-
-    if (/^(-{3,}|_{3,}|\*{3,})$/.test(trimmed)) {
-      flushParagraph();
-      flushList();
-      segments.push('<hr />');
-      continue;
-    }
-
-    const blockquoteMatch = trimmed.match(/^>\s?(.*)$/);
-    if (blockquoteMatch) {
-      flushParagraph();
-      flushList();
-      segments.push(`<blockquote>${renderInlineMarkdown(blockquoteMatch[1])}</blockquote>`);
-      continue;
-    }
-
-    const orderedMatch = trimmed.match(/^(\d+)[.)]\s+(.*)$/);
-    if (orderedMatch && orderedMatch[2].trim()) {
-      ensureList('ordered');
-      listContext.items.push({ ordinal: Number(orderedMatch[1]), content: orderedMatch[2] });
-      continue;
-    }
-
-    const unorderedMatch = trimmed.match(/^[-*+]\s+(.*)$/);
-    if (unorderedMatch && unorderedMatch[1].trim()) {
-      ensureList('unordered');
-      listContext.items.push({ content: unorderedMatch[1] });
-      continue;
-    }
-
-    if (/^[-–—]$/.test(trimmed)) {
-      flushParagraph();
-      continue;
-    }
-
-    const dashParagraph = trimmed.match(/^[-–—]\s*(.*)$/);
-    if (dashParagraph && dashParagraph[1]) {
-      flushParagraph();
-      paragraphBuffer.push(dashParagraph[1]);
-      continue;
-    }
-
-    // Normal text line → part of paragraph
-    flushList();
-    paragraphBuffer.push(trimmed);
-  }
-
-  flushParagraph();
-  flushList();
-
-  return segments.join('');
-}
-
 function toDescriptionHtml(product) {
   const rawDescription = product?.Description;
   if (rawDescription !== undefined && rawDescription !== null) {
@@ -545,25 +333,14 @@ function toDescriptionHtml(product) {
   return '<p>No description provided.</p>';
 }
 
-function normaliseArray(input) {
-  if (!input) {
-    return [];
-  }
-  if (Array.isArray(input)) {
-    return input;
-  }
-  return [input];
-}
-
 function getRecordIds(record) {
   if (!record || typeof record !== 'object') {
     return [];
   }
 
-  const keys = ['id', 'Id', 'ID', 'recordId', 'record_id', 'Record ID', 'Record Id', 'RecordID', 'Recordid'];
   const ids = new Set();
 
-  for (const key of keys) {
+  for (const key of RECORD_ID_FIELDS) {
     const value = record[key];
     if (value === undefined || value === null) {
       continue;
@@ -584,20 +361,17 @@ function getRecordIds(record) {
   return Array.from(ids);
 }
 
+function getAirtableRecordId(record) {
+  const ids = getRecordIds(record);
+  return ids.find((id) => /^rec[A-Za-z0-9]+$/.test(id)) || ids[0];
+}
+
 function getShopifyProductIdFromRecord(record) {
   if (!record || typeof record !== 'object') {
     return undefined;
   }
 
-  const candidates = [
-    record['Shopify Product Id'],
-    record['Shopify Product ID'],
-    record['shopify_product_id'],
-    record['ShopifyProductId'],
-    record['shopifyProductId'],
-  ];
-
-  for (const candidate of candidates) {
+  for (const candidate of SHOPIFY_PRODUCT_ID_FIELDS.map((field) => record[field])) {
     if (candidate === undefined || candidate === null) {
       continue;
     }
@@ -615,20 +389,9 @@ function extractAddonShopifyProductIds(record) {
     return [];
   }
 
-  const candidateKeys = [
-    'Shopify Product Id (from Add-ons)',
-    'Shopify Product ID (from Add-ons)',
-    'Shopify Product Id (From Add-ons)',
-    'Shopify Product Id (from add-ons)',
-    'Shopify Product Id (from Optional Upgrades)',
-    'ShopifyProductIdFromAddOns',
-    'shopify_product_id_from_addons',
-    'Shopify Product Id (Add-ons)',
-  ];
-
   const referenceIds = new Set();
 
-  for (const key of candidateKeys) {
+  for (const key of ADDON_REFERENCE_FIELDS) {
     if (!Object.prototype.hasOwnProperty.call(record, key)) {
       continue;
     }
@@ -694,23 +457,9 @@ function extractVariantShopifyProductIds(record) {
     return [];
   }
 
-  const candidateKeys = [
-    'Shopify Product Id (from Variants)',
-    'Shopify Product ID (from Variants)',
-    'Shopify Product Id (Variants)',
-    'Shopify Product ID (Variants)',
-    'ShopifyProductIdFromVariants',
-    'shopify_product_id_from_variants',
-    'Shopify Product Id (from variant records)',
-    'Shopify Product Id (From Occupants Variants)',
-    'Shopify Product ID (From Occupants Variants)',
-    'Shopify Product Id (Occupants Variants)',
-    'Shopify Product ID (Occupants Variants)',
-  ];
-
   const referenceIds = new Set();
 
-  for (const key of candidateKeys) {
+  for (const key of VARIANT_REFERENCE_FIELDS) {
     if (!Object.prototype.hasOwnProperty.call(record, key)) {
       continue;
     }
@@ -762,39 +511,6 @@ function normaliseShopifyProductGid(raw) {
   return undefined;
 }
 
-function asSingleLineValue(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-  if (Array.isArray(input)) {
-    return input
-      .map((item) => String(item).trim().replace(/\s+/g, ' '))
-      .map((value) => value.trim())
-      .filter(Boolean)
-      .join(', ')
-      .trim() || undefined;
-  }
-  const value = String(input).trim();
-  if (!value.length) {
-    return undefined;
-  }
-
-  const normalised = value.replace(/\s+/g, ' ').trim();
-  return normalised.length > 0 ? normalised : undefined;
-}
-
-function asMultiLineValue(input) {
-  if (input === undefined || input === null) {
-    return undefined;
-  }
-  if (Array.isArray(input)) {
-    const joined = input.map((item) => String(item).trim()).filter(Boolean).join('\n');
-    return joined.length > 0 ? joined : undefined;
-  }
-  const value = String(input).trim();
-  return value.length > 0 ? value : undefined;
-}
-
 function asBooleanFlag(input) {
   if (input === true) return true;
   if (input === false || input === undefined || input === null) return false;
@@ -805,48 +521,6 @@ function asBooleanFlag(input) {
   return false;
 }
 
-// --- Numeric parsing helpers for metafields ---
-function firstNumber(input) {
-  if (input === undefined || input === null) return undefined;
-  const text = Array.isArray(input) ? input.join(' ') : String(input);
-  const cleaned = text.replace(/,/g, ' ');
-  const match = cleaned.match(/-?\d+(\.\d+)?/);
-  if (!match) return undefined;
-  const num = Number(match[0]);
-  return Number.isNaN(num) ? undefined : num;
-}
-
-function toIntegerString(input) {
-  const n = firstNumber(input);
-  if (n === undefined) return undefined;
-  return String(Math.round(n));
-}
-
-function toDecimalString(input) {
-  const n = firstNumber(input);
-  if (n === undefined) return undefined;
-  return String(n);
-}
-
-function parseMinMax(input) {
-  if (input === undefined || input === null) return { min: undefined, max: undefined };
-  const text = Array.isArray(input) ? input.join(' ') : String(input);
-  const cleaned = text.replace(/,/g, ' ');
-  const matches = cleaned.match(/-?\d+(\.\d+)?/g) || [];
-  if (matches.length >= 2) {
-    const a = Number(matches[0]);
-    const b = Number(matches[1]);
-    const min = Math.min(a, b);
-    const max = Math.max(a, b);
-    return { min: String(min), max: String(max) };
-  }
-  if (matches.length === 1) {
-    const v = String(Number(matches[0]));
-    return { min: v, max: v };
-  }
-  return { min: undefined, max: undefined };
-}
-
 function buildAddonMetafield(addonShopifyProductIds) {
   if (!Array.isArray(addonShopifyProductIds) || addonShopifyProductIds.length === 0) {
     return {
@@ -1088,51 +762,20 @@ function deriveDocumentUrl(entry) {
  * Upload file using staged upload (download from Airtable, re-upload to Shopify)
  * This ensures proper Content-Type headers
  */
-async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
-  console.log('Using staged upload for proper Content-Type', {
-    url: trimmedUrl,
-    filename: documentEntry?.filename || 'N/A',
-  });
-
-  // Step 1: Download file from Airtable
-  const fileResponse = await fetch(trimmedUrl);
-  if (!fileResponse.ok) {
-    throw new Error(`Failed to download file: ${fileResponse.status}`);
-  }
-
-  const fileBuffer = Buffer.from(await fileResponse.arrayBuffer());
-  const filename = documentEntry?.filename || 'document.pdf';
-  const mimeType = documentEntry?.type || 'application/pdf';
-
-  // Step 2: Request staged upload URL from Shopify
-  const STAGED_UPLOAD_MUTATION = `
-    mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
-      stagedUploadsCreate(input: $input) {
-        stagedTargets {
-          url
-          resourceUrl
-          parameters {
-            name
-            value
-          }
-        }
-        userErrors {
-          field
-          message
-        }
-      }
-    }
-  `;
-
+/**
+ * Requests a staged upload target from Shopify and POSTs the buffer to it.
+ * Returns the staged target (its `resourceUrl` and `parameters`).
+ */
+async function stagedUpload(buffer, { filename, mimeType, resource }) {
   const stagedResponse = await callShopify(
     STAGED_UPLOAD_MUTATION,
     {
       input: [{
-        resource: 'FILE',
+        resource,
         filename,
         mimeType,
         httpMethod: 'POST',
-        fileSize: fileBuffer.length.toString(),
+        fileSize: buffer.length.toString(),
       }],
     },
     'stagedUploadsCreate'
@@ -1144,7 +787,6 @@ async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
     throw new Error(`Failed to get staged upload URL: ${JSON.stringify(errors)}`);
   }
 
-  // Step 3: Upload file to staged URL
   const formData = new FormData();
 
   // Add parameters from Shopify
@@ -1153,7 +795,7 @@ async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
   });
 
   // Add the file
-  const blob = new Blob([fileBuffer], { type: mimeType });
+  const blob = new Blob([buffer], { type: mimeType });
   formData.append('file', blob, filename);
 
   const uploadResponse = await fetch(stagedTarget.url, {
@@ -1165,22 +807,44 @@ async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
     throw new Error(`Staged upload failed: ${uploadResponse.status}`);
   }
 
-  // Step 4: Create file reference in Shopify
-  const fileInput = {
-    originalSource: stagedTarget.resourceUrl,
-    contentType: 'FILE',
-    filename,
-  };
+  return stagedTarget;
+}
 
-  // Set alt text from description or fallback to filename
-  if (documentEntry && typeof documentEntry === 'object') {
-    const alt = documentEntry.description || documentEntry.filename || filename;
-    if (alt) {
-      fileInput.alt = String(alt).trim();
-    }
-  } else if (filename) {
-    fileInput.alt = filename;
-  }
+async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
+  console.log('Using staged upload for proper Content-Type', {
+    url: trimmedUrl,
+    filename: documentEntry?.filename || 'N/A',
+  });
+
+  // Step 1: Download file from Airtable
+  const fileResponse = await fetch(trimmedUrl);
+  if (!fileResponse.ok) {
+    throw new Error(`Failed to download file: ${fileResponse.status}`);
+  }
+
+  const fileBuffer = Buffer.from(await fileResponse.arrayBuffer());
+  const filename = documentEntry?.filename || 'document.pdf';
+  const mimeType = documentEntry?.type || 'application/pdf';
+
+  // Steps 2-3: Request a staged upload target and upload the file to it
+  const stagedTarget = await stagedUpload(fileBuffer, { filename, mimeType, resource: 'FILE' });
+
+  // Step 4: Create file reference in Shopify
+  const fileInput = {
+    originalSource: stagedTarget.resourceUrl,
+    contentType: 'FILE',
+    filename,
+  };
+
+  // Set alt text from description or fallback to filename
+  if (documentEntry && typeof documentEntry === 'object') {
+    const alt = documentEntry.description || documentEntry.filename || filename;
+    if (alt) {
+      fileInput.alt = String(alt).trim();
+    }
+  } else if (filename) {
+    fileInput.alt = filename;
+  }
 
   const fileCreateResponse = await callShopify(
     FILE_CREATE_MUTATION,
@@ -1217,7 +881,7 @@ async function uploadViaStagedUpload(trimmedUrl, documentEntry) {
 }
 
 async function ensureShopifyFileReference(documentEntry, options = {}) {
-  const { fileCache } = options;
+  const { fileCache, dryRun } = options;
 
   const url = deriveDocumentUrl(documentEntry);
   if (!url) {
@@ -1246,9 +910,29 @@ async function ensureShopifyFileReference(documentEntry, options = {}) {
     || trimmedUrl;
 
   if (fileCache && cacheKey && fileCache.has(cacheKey)) {
+    try {
+      return {
+        fileId: await fileCache.get(cacheKey),
+        status: 'cached',
+        url: trimmedUrl,
+        source: documentEntry,
+      };
+    } catch (error) {
+      return {
+        fileId: null,
+        status: 'error',
+        error: error.message,
+        url: trimmedUrl,
+        source: documentEntry,
+      };
+    }
+  }
+
+  // Dry runs must not create files in Shopify; report what would be uploaded instead.
+  if (dryRun) {
     return {
-      fileId: fileCache.get(cacheKey),
-      status: 'cached',
+      fileId: null,
+      status: 'planned',
       url: trimmedUrl,
       source: documentEntry,
     };
@@ -1272,71 +956,75 @@ async function ensureShopifyFileReference(documentEntry, options = {}) {
   // Check if URL has extension
   const urlHasExtension = /\.[A-Za-z0-9]{2,6}(\?|$)/.test(urlPath);
 
-  try {
-    let fileId;
-
+  const upload = (async () => {
     // For Airtable URLs without extensions: Use staged upload for proper Content-Type
     if (!urlHasExtension && !looksLikeImage) {
-      fileId = await uploadViaStagedUpload(trimmedUrl, documentEntry);
-    } else {
-      // For URLs with extensions or images: Use direct URL upload
-      const contentType = looksLikeImage ? 'IMAGE' : 'FILE';
-      const fileInput = {
-        originalSource: trimmedUrl,
-        contentType,
-      };
+      return uploadViaStagedUpload(trimmedUrl, documentEntry);
+    }
 
-      if (urlHasExtension) {
-        const parts = urlPath.split('/').filter(Boolean);
-        const urlBase = parts.length ? parts[parts.length - 1].split('?')[0] : '';
-        const extMatch = urlBase.match(/\.([A-Za-z0-9]{2,6})$/);
+    // For URLs with extensions or images: Use direct URL upload
+    const contentType = looksLikeImage ? 'IMAGE' : 'FILE';
+    const fileInput = {
+      originalSource: trimmedUrl,
+      contentType,
+    };
 
-        if (extMatch) {
-          const ext = `.${extMatch[1].toLowerCase()}`;
-          const baseFilename = urlBase.substring(0, urlBase.lastIndexOf('.')) || 'document';
-          fileInput.filename = `${baseFilename}${ext}`;
-        }
-      }
+    if (urlHasExtension) {
+      const parts = urlPath.split('/').filter(Boolean);
+      const urlBase = parts.length ? parts[parts.length - 1].split('?')[0] : '';
+      const extMatch = urlBase.match(/\.([A-Za-z0-9]{2,6})$/);
 
-      // Set alt text from description or fallback to filename
-      if (documentEntry && typeof documentEntry === 'object') {
-        const alt = documentEntry.description || documentEntry.filename || fileInput.filename;
-        if (alt) {
-          fileInput.alt = String(alt).trim();
-        }
-      } else if (fileInput.filename) {
-        fileInput.alt = fileInput.filename;
+      if (extMatch) {
+        const ext = `.${extMatch[1].toLowerCase()}`;
+        const baseFilename = urlBase.substring(0, urlBase.lastIndexOf('.')) || 'document';
+        fileInput.filename = `${baseFilename}${ext}`;
       }
+    }
 
-      const response = await callShopify(
-        FILE_CREATE_MUTATION,
-        { files: [fileInput] },
-        'fileCreate'
-      );
-
-      const payload = response.data?.fileCreate;
-      if (!payload) {
-        throw new Error('fileCreate did not return a payload.');
+    // Set alt text from description or fallback to filename
+    if (documentEntry && typeof documentEntry === 'object') {
+      const alt = documentEntry.description || documentEntry.filename || fileInput.filename;
+      if (alt) {
+        fileInput.alt = String(alt).trim();
       }
+    } else if (fileInput.filename) {
+      fileInput.alt = fileInput.filename;
+    }
 
-      const userErrors = payload.userErrors || [];
-      if (userErrors.length > 0) {
-        const message = userErrors.map((error) => error.message).join('; ');
-        throw new Error(`fileCreate userErrors: ${message}`);
-      }
+    const response = await callShopify(
+      FILE_CREATE_MUTATION,
+      { files: [fileInput] },
+      'fileCreate'
+    );
 
-      const createdFile = payload.files?.[0];
-      if (!createdFile?.id) {
-        throw new Error('fileCreate did not return a file id.');
-      }
+    const payload = response.data?.fileCreate;
+    if (!payload) {
+      throw new Error('fileCreate did not return a payload.');
+    }
 
-      fileId = createdFile.id;
+    const userErrors = payload.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`fileCreate userErrors: ${message}`);
     }
 
-    if (fileCache && cacheKey) {
-      fileCache.set(cacheKey, fileId);
+    const createdFile = payload.files?.[0];
+    if (!createdFile?.id) {
+      throw new Error('fileCreate did not return a file id.');
     }
 
+    return createdFile.id;
+  })();
+
+  // Share the in-flight upload so records processed concurrently that reference
+  // the same document wait for it instead of uploading a duplicate.
+  if (fileCache && cacheKey) {
+    fileCache.set(cacheKey, upload);
+  }
+
+  try {
+    const fileId = await upload;
+
     return {
       fileId,
       status: 'created',
@@ -1344,6 +1032,9 @@ async function ensureShopifyFileReference(documentEntry, options = {}) {
       source: documentEntry,
     };
   } catch (error) {
+    if (fileCache && cacheKey) {
+      fileCache.delete(cacheKey);
+    }
     return {
       fileId: null,
       status: 'error',
@@ -1355,7 +1046,7 @@ async function ensureShopifyFileReference(documentEntry, options = {}) {
 }
 
 async function buildProductDocumentationMetafield(product, options = {}) {
-  const { fileCache } = options;
+  const { fileCache, dryRun } = options;
   const rawDocumentation = product ? product['Product Documentation'] : undefined;
   const documentationEntries = normaliseDocumentEntries(rawDocumentation);
 
@@ -1366,6 +1057,7 @@ async function buildProductDocumentationMetafield(product, options = {}) {
       entries: [],
       errors: [],
       skipped: [],
+      planned: [],
     };
   }
 
@@ -1375,7 +1067,7 @@ async function buildProductDocumentationMetafield(product, options = {}) {
 
   for (const entry of documentationEntries) {
     // eslint-disable-next-line no-await-in-loop
-    const outcome = await ensureShopifyFileReference(entry, { fileCache });
+    const outcome = await ensureShopifyFileReference(entry, { fileCache, dryRun });
     results.push(outcome);
     if (outcome.fileId && !seenFileIds.has(outcome.fileId)) {
       seenFileIds.add(outcome.fileId);
@@ -1389,9 +1081,23 @@ async function buildProductDocumentationMetafield(product, options = {}) {
   const skipped = results
     .filter((result) => result.status === 'skipped')
     .map((result) => ({ url: result.url, reason: result.reason }));
+  const planned = results
+    .filter((result) => result.status === 'planned')
+    .map((result) => ({ url: result.url }));
 
   const productName = product['Product Name'] || product.title || product.Name;
 
+  if (dryRun && planned.length) {
+    return {
+      metafield: null,
+      fileIds,
+      entries: results,
+      errors,
+      skipped,
+      planned,
+    };
+  }
+
   if (!fileIds.length) {
     console.warn('Failed to create Shopify file references for product documentation.', {
       productName,
@@ -1405,6 +1111,7 @@ async function buildProductDocumentationMetafield(product, options = {}) {
       entries: results,
       errors,
       skipped,
+      planned,
     };
   }
 
@@ -1420,15 +1127,14 @@ async function buildProductDocumentationMetafield(product, options = {}) {
   // Always use list.file_reference to match Shopify metafield definition
   return {
     metafield: {
-      namespace: 'custom',
-      key: 'product_documentation',
-      type: 'list.file_reference',
+      ...PRODUCT_DOCUMENTATION_METAFIELD,
       value: JSON.stringify(fileIds),
     },
     fileIds,
     entries: results,
     errors,
     skipped,
+    planned,
   };
 }
 
@@ -1440,590 +1146,256 @@ function buildMetafields(product, options = {}) {
     documentationMetafieldResult,
     occupantVariantsMetafieldResult,
   } = options;
-  const metafields = [];
-
-  // Existing "custom" namespace mappings (kept for backward compatibility)
-  const singleLineMappings = [
-    { key: 'occupants', source: product.Occupants },
-    { key: 'household_size', source: product['Household Size'] },
-    { key: 'stories_max', source: product['Stories Max'] },
-    { key: 'max_flow_gpm', source: product['Max Flow Rate GPM'] || product['Max Flow GPM'] || product['Max Flow Rate (GPM)'] || product['Max Flow Rate gpm'] },
-    { key: 'max_flow_rate', source: product['Max Flow Rate'] || product['Max Flow Rate GPM'] || product['Max Flow GPM'] || product['Max Flow Rate (GPM)'] || product['Max Flow Rate gpm'] },
-    { key: 'cu_ft', source: product['Cu.Ft'] },
-    { key: 'media_volume', source: product['Cu.Ft. (Media Volume)'] || product['Media Volume'] },
-    { key: 'membrane_size', source: product['Membrane Size'] },
-    { key: 'media_type', source: product['Media Type'] },
-    { key: 'material', source: product.Material || product['Material'] || product['Materials'] },
-    { key: 'capacity', source: product.Capacity },
-    { key: 'valve', source: product.Valve },
-    { key: 'city_or_well', source: product['City/Well'] },
-    { key: 'product_dimensions', source: product['Product Dimensions'] || product['Product Dimensions (H x W x D)'] },
-    { key: 'number_of_bathroom', source: product['Number of Bathroom'] || product['Number of Bathrooms'] },
-    { key: 'micron', source: product.Micron || product['Micron'] },
-    { key: 'practical_service_flow', source: product['Practical Service Flow (gpm @ EBCT≈2 min)'] },
-    { key: 'backwash', source: product['Backwash (DLFC) (gpm)'] },
-    { key: 'product_weight_lb', source: product['Product Weight lb'] || product['Product Weight (lb)'] },
-    { key: 'power_requirement', source: product['Power Requirement'] },
-    { key: 'bypass_valve_included', source: product['Bypass Valve Included'] },
-    { key: 'operating_pressures', source: product['Operating Pressure'] },
-    { key: 'operating_temperatures', source: product['Operating Temperatures'] || product['Max. operating temperature'] || product['Max. Operating Temperature'] },
-    { key: 'drain_line', source: product['Drain Line'] },
-    { key: 'installation_type', source: product['Installation Type'] },
-    { key: 'estimated_installation_time', source: product['Estimated Installation Time'] },
-    { key: 'recovery_rate', source: product['Recovery Rate'] },
-    { key: 'storage_tank_capacity', source: product['Storage Tank Capacity'] },
-    { key: 'waste_to_pure_ratio', source: product['Waste-to-Pure Ratio'] },
-    { key: 'feed_water_tds_limit', source: product['Feed Water TDS Limit'] },
-    { key: 'feed_water_ph_range', source: product['Feed Water pH Range'] },
-    { key: 'operating_environment', source: product['Operating Environment'] },
-    { key: 'tank_dimensions', source: product['Tank Dimensions'] },
-    { key: 'maximum_pressure', source: product['Maximum Pressure'] },
-    { key: 'rejection_rate', source: product['Rejection Rate'] },
-    { key: 'ozone_output', source: product['Ozone Output'] },
-    { key: 'operating_voltage', source: product['Operating Voltage'] },
-    { key: 'power_consumption', source: product['Power Consumption'] },
-    { key: 'service_life', source: product['Service Life'] },
-  ];
+  // Plain field mappings live in metafield-mapping.json; references need lookups first
+  const metafields = buildMappedMetafields(product, METAFIELD_MAPPING);
 
-  for (const mapping of singleLineMappings) {
-    const value = asSingleLineValue(mapping.source);
-    if (value) {
-      metafields.push({
-        namespace: 'custom',
-        key: mapping.key,
-        type: 'single_line_text_field',
-        value,
-      });
-    }
+  if (addonMetafieldResult?.metafield) {
+    metafields.push(addonMetafieldResult.metafield);
   }
 
-  const contaminantsRaw = asMultiLineValue(product['Engineered to Reduce']);
-  if (contaminantsRaw) {
-    const listValues = contaminantsRaw.split('\n').map(line => line.trim()).filter(Boolean);
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'contaminants_removed',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
-    }
+  if (documentationMetafieldResult?.metafield) {
+    metafields.push(documentationMetafieldResult.metafield);
   }
 
-  const partialReductionsRaw = asMultiLineValue(product['Partial Reductions']);
-  if (partialReductionsRaw) {
-    const listValues = partialReductionsRaw.split('\n').map(line => line.trim()).filter(Boolean);
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'partial_reductions',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
-    }
+  if (occupantVariantsMetafieldResult?.metafield) {
+    metafields.push(occupantVariantsMetafieldResult.metafield);
   }
 
-  const certifications = asSingleLineValue(product.Certifications);
-  if (certifications) {
-    const listValues = certifications.split(',').map(item => item.trim()).filter(Boolean);
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'certifications',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
-    }
+  if (optionalUpgradesMetafieldResult?.metafield) {
+    metafields.push(optionalUpgradesMetafieldResult.metafield);
   }
 
-  const includedProducts = asMultiLineValue(product['Included Products']);
-  if (includedProducts) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'included_products',
-      type: 'multi_line_text_field',
-      value: includedProducts,
-    });
+  if (replacementsMetafieldResult?.metafield) {
+    metafields.push(replacementsMetafieldResult.metafield);
   }
 
-  const tankSizeHtml = markdownToDivHtml(product['Tank Size']);
-  if (tankSizeHtml) {
+  // Lets later syncs find this product again when the record lost its Shopify Product Id
+  const airtableRecordId = getAirtableRecordId(product);
+  if (airtableRecordId) {
     metafields.push({
-      namespace: 'custom',
-      key: 'tank_size',
-      type: 'multi_line_text_field',
-      value: tankSizeHtml,
+      namespace: AIRTABLE_RECORD_ID_METAFIELD.namespace,
+      key: AIRTABLE_RECORD_ID_METAFIELD.key,
+      type: 'single_line_text_field',
+      value: airtableRecordId,
     });
   }
 
-  const additionalComponentsHtml = markdownToDivHtml(product['Additional Components']);
-  if (additionalComponentsHtml) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'additional_components',
-      type: 'multi_line_text_field',
-      value: additionalComponentsHtml,
-    });
-  }
+  return metafields;
+}
 
-  const keyProductFeaturesRaw = asMultiLineValue(product['Key Product Features']);
-  if (keyProductFeaturesRaw) {
-    const listValues = keyProductFeaturesRaw
-      .split('\n')
-      .map((line) => line.trim())
-      .map((line) => line.replace(/^[-*]\s+/, '').replace(/^\d+\.\s+/, ''))
-      .filter(Boolean);
-
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'key_product_features',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
-    }
-  }
+// Metafield types that can be used as smart collection conditions.
+const FILTERABLE_METAFIELD_TYPES = ['single_line_text_field', 'number_integer', 'number_decimal'];
+const METAFIELD_NAME_WORDS = {
+  gpm: 'GPM', gpd: 'GPD', tds: 'TDS', ppm: 'PPM', psi: 'PSI', vac: 'VAC', ph: 'pH', um: 'µm', lb: 'lb', id: 'ID', ids: 'IDs',
+};
 
-  const idealFor = asSingleLineValue(product['Ideal For']);
-  if (idealFor) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'ideal_for',
-      type: 'single_line_text_field',
-      value: idealFor,
-    });
-  }
+function toMetafieldDefinitionName(key) {
+  return key
+    .split('_')
+    .filter(Boolean)
+    .map((word) => METAFIELD_NAME_WORDS[word] || word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
 
-  const problemsSolvedKeywords = asMultiLineValue(product['Problems solved (keywords)']);
-  if (problemsSolvedKeywords) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'problems_solved',
-      type: 'single_line_text_field',
-      value: problemsSolvedKeywords,
+/**
+ * Derives the product metafield definitions the sync writes by running
+ * buildMetafields against a record that answers every field, plus one valid
+ * reference for each reference metafield. The `bundle` scope derives the ones
+ * the bundle function writes from its mapping entries instead.
+ */
+function deriveMetafieldDefinitions(scope = 'product') {
+  const probeRecord = new Proxy({}, {
+    get: (target, prop) => (typeof prop === 'string' ? '1' : undefined),
+  });
+  const probeReference = ['gid://shopify/Product/1'];
+  const metafields = scope === 'bundle'
+    ? buildMappedMetafields(probeRecord, loadMetafieldMapping(undefined, 'bundle'))
+    : buildMetafields(probeRecord, {
+      addonMetafieldResult: buildAddonMetafield(probeReference),
+      optionalUpgradesMetafieldResult: buildOptionalUpgradesMetafield(probeReference),
+      replacementsMetafieldResult: buildReplacementMetafield(probeReference),
+      occupantVariantsMetafieldResult: buildOccupantVariantsMetafield(probeReference),
+      documentationMetafieldResult: { metafield: { ...PRODUCT_DOCUMENTATION_METAFIELD, value: '[]' } },
     });
+
+  return metafields.map(({ namespace, key, type }) => {
+    // The Airtable record id is bookkeeping for the sync: off the storefront, but
+    // admin-filterable so findProductIdByRecordId can search products by it.
+    const internal = namespace === AIRTABLE_RECORD_ID_METAFIELD.namespace && key === AIRTABLE_RECORD_ID_METAFIELD.key;
+    return {
+      namespace,
+      key,
+      type,
+      name: toMetafieldDefinitionName(key),
+      description: `Synced from the Airtable product catalog (${namespace}.${key}).`,
+      storefront: internal ? 'NONE' : 'PUBLIC_READ',
+      smartCollectionCondition: !internal && FILTERABLE_METAFIELD_TYPES.includes(type),
+      adminFilterable: internal,
+    };
+  });
+}
+
+// Discontinued records are archived; otherwise `Sell on Website` decides between ACTIVE and DRAFT.
+function resolveProductStatus(product) {
+  if (asBooleanFlag(product['Discontinued'])) {
+    return 'ARCHIVED';
   }
+  return asBooleanFlag(product['Sell on Website']) ? 'ACTIVE' : 'DRAFT';
+}
 
-  const includedProductIds = asMultiLineValue(product['Bundle Product IDs']);
-  if (includedProductIds) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'bundle_product_ids',
-      type: 'multi_line_text_field',
-      value: includedProductIds,
-    });
+function buildProductInput(product, options = {}) {
+  const {
+    addonMetafieldResult,
+    optionalUpgradesMetafieldResult,
+    replacementsMetafieldResult,
+    documentationMetafieldResult,
+    occupantVariantsMetafieldResult,
+    status,
+  } = options;
+  const descriptionHtml = toDescriptionHtml(product);
+  const input = {
+    title: product['Product Name'] ? String(product['Product Name']) : undefined,
+    descriptionHtml,
+    status: status || resolveProductStatus(product),
+    productType: asSingleLineValue(product.Category),
+    vendor: asSingleLineValue(product['Sub Brand'] || product['Brand'] || product.Vendor),
+    metafields: buildMetafields(product, {
+      addonMetafieldResult,
+      optionalUpgradesMetafieldResult,
+      replacementsMetafieldResult,
+      documentationMetafieldResult,
+      occupantVariantsMetafieldResult,
+    }),
+    tags: normaliseArray(product.Collection)
+      .concat(normaliseArray(product['Problems solved (keywords)']), MANAGED_PRODUCT_TAG ? [MANAGED_PRODUCT_TAG] : [])
+      .filter(Boolean),
+  };
+
+
+  if (!input.metafields.length) {
+    delete input.metafields;
   }
 
-  const waterProblemsSolved = asMultiLineValue(product['Water Problems Solved']);
-  if (waterProblemsSolved) {
-    const listValues = waterProblemsSolved
-      .split('\n')
-      .map(line => line.trim())
-      .filter(Boolean)
-      .map(line => renderInlineMarkdown(line));
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'water_problems_solved',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
-    }
+  if (!input.tags.length) {
+    delete input.tags;
   }
 
-  const perfectForHomesWith = asMultiLineValue(product['Perfect For Homes With']);
-  if (perfectForHomesWith) {
-    const listValues = perfectForHomesWith.split('\n').map(line => line.trim()).filter(Boolean);
-    if (listValues.length > 0) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'perfect_for_homes_with',
-        type: 'list.single_line_text_field',
-        value: JSON.stringify(listValues),
-      });
+  return input;
+}
+
+// Each entry keeps the Airtable attachment id so media can be matched on later syncs.
+function buildProductMediaEntries(product) {
+  const images = Array.isArray(product.Image) ? product.Image : [];
+  const entries = [];
+
+  const baseAlt = String(product['Product Name'] || 'Product image');
+
+  for (let i = 0; i < images.length; i++) {
+    const img = images[i];
+    const candidates = [
+      img?.thumbnails?.full?.url,
+      img?.thumbnails?.large?.url,
+      img?.url,
+    ].filter(Boolean);
+
+    if (!candidates.length) {
+      continue;
     }
-  }
 
-  const deliveryAndReturns = markdownToHtml(product['Delivery & Returns']);
-  if (deliveryAndReturns) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'delivery_and_returns',
-      type: 'multi_line_text_field',
-      value: deliveryAndReturns,
-    });
-  }
+    const alt = images.length > 1 ? `${baseAlt} (${i + 1})` : baseAlt;
 
-  const extendedDescriptionHtml = markdownToHtml(product['Extended Description']);
-  if (extendedDescriptionHtml) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'extended_description',
-      type: 'multi_line_text_field',
-      value: extendedDescriptionHtml,
+    entries.push({
+      attachmentId: img?.id ? String(img.id) : undefined,
+      input: {
+        alt,
+        mediaContentType: 'IMAGE',
+        originalSource: candidates[0],
+      },
     });
   }
 
-  const estimatedInstallationTimeHtml = markdownToDivHtml(product['Estimated Installation Time']);
-  if (estimatedInstallationTimeHtml) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'estimated_installation_time',
-      type: 'multi_line_text_field',
-      value: estimatedInstallationTimeHtml,
-    });
-  }
+  return entries;
+}
 
-  const warrantyHtml = markdownToHtml(product['Warranty']);
-  if (warrantyHtml) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'warranty',
-      type: 'multi_line_text_field',
-      value: warrantyHtml,
-    });
-  }
+function buildProductMediaArray(product) {
+  return buildProductMediaEntries(product).map((entry) => entry.input);
+}
 
-  const maintenanceRequirementHtml = markdownToDivHtml(product['Maintenance Requirement']);
-  if (maintenanceRequirementHtml) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'maintenance_requirement',
-      type: 'multi_line_text_field',
-      value: maintenanceRequirementHtml,
-    });
+/**
+ * Desired stock per location from `Inventory Quantity` (default location) and
+ * `Inventory Quantity (<Location name>)` fields. `locationName` is null for
+ * the default location.
+ */
+function buildInventoryQuantities(product) {
+  const quantities = [];
+  const add = (locationName, raw) => {
+    const quantity = firstNumber(raw);
+    if (quantity !== undefined) {
+      quantities.push({ locationName, quantity: Math.trunc(quantity) });
+    }
+  };
+  add(null, product['Inventory Quantity']);
+  for (const [field, value] of Object.entries(product || {})) {
+    const match = field.match(INVENTORY_LOCATION_FIELD_PATTERN);
+    if (match) {
+      add(match[1].trim(), value);
+    }
   }
+  return quantities;
+}
 
-  const productDocumentationRaw = product['Product Documentation'];
-  if (addonMetafieldResult?.metafield) {
-    metafields.push(addonMetafieldResult.metafield);
+// `Track Inventory` decides when present; otherwise supplying any quantity turns tracking on.
+function resolveInventoryTracking(product) {
+  const flag = product['Track Inventory'];
+  if (flag !== undefined && flag !== null && flag !== '') {
+    return asBooleanFlag(flag);
   }
+  return buildInventoryQuantities(product).length > 0;
+}
 
-  if (documentationMetafieldResult?.metafield) {
-    metafields.push(documentationMetafieldResult.metafield);
+// Zero or missing costs fall through to the next field so an empty cost never overwrites Shopify.
+function resolveInventoryCost(product) {
+  for (const field of [INVENTORY_COST_FIELD, INVENTORY_COST_FALLBACK_FIELD]) {
+    const cost = firstNumber(product[field]);
+    if (cost !== undefined && cost > 0) {
+      return String(cost);
+    }
   }
+  return undefined;
+}
 
-  if (occupantVariantsMetafieldResult?.metafield) {
-    metafields.push(occupantVariantsMetafieldResult.metafield);
+function buildInventoryItemInput(product) {
+  const inventoryItem = { tracked: resolveInventoryTracking(product) };
+  if (product.SKU) {
+    inventoryItem.sku = String(product.SKU);
   }
-
-  if (optionalUpgradesMetafieldResult?.metafield) {
-    metafields.push(optionalUpgradesMetafieldResult.metafield);
+  const cost = resolveInventoryCost(product);
+  if (cost !== undefined) {
+    inventoryItem.cost = cost;
   }
+  return inventoryItem;
+}
 
-  if (replacementsMetafieldResult?.metafield) {
-    metafields.push(replacementsMetafieldResult.metafield);
+// Tracked variants stop selling at zero stock unless the record sets `available` to true.
+function resolveInventoryPolicy(available, tracked) {
+  if (available === false) {
+    return 'DENY';
   }
+  return tracked && available !== true ? 'DENY' : 'CONTINUE';
+}
 
-  // --- New Shopify Product namespace metafields (namespace: "product") ---
+function buildVariantInput(product) {
+  const price = product['Website Retail Price'];
+  const compareAtPrice = product.MSRP;
+  const sku = product.SKU;
+  const available = product.available;
 
-  // Input & Output Line (text)
-  const inputOutputLine =
-    asSingleLineValue(
-      product['Input & Output Line'] ||
-      product['Input Output Line'] ||
-      product['Input/Output Line'] ||
-      product['Input & Output'] ||
-      product['Input and Output Line'] ||
-      product['Input & Output Line Size']
-    );
-  if (inputOutputLine) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'input_output_line',
-      type: 'single_line_text_field',
-      value: inputOutputLine,
-    });
+  // If neither price nor sku is present, skip this variant
+  if ((price === undefined || price === null) && !sku) {
+    return null;
   }
 
-  // System Capacity (GPD) - text
-  const systemCapacityGpd = asSingleLineValue(
-    product['System Capacity'] ||
-    product.Capacity ||
-    product['System Capacity (GPD)'] ||
-    product['Capacity (GPD)']
-  );
-  if (systemCapacityGpd) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'system_capacity_gpd',
-      type: 'single_line_text_field',
-      value: systemCapacityGpd,
-    });
-  }
-
-  // Feed Water Pressure (psi) - decimal
-  const feedWaterPressurePsi = toDecimalString(
-    product['Feed Water Pressure'] ||
-    product['Feed Water Pressure (psi)'] ||
-    product['Water Pressure'] ||
-    product['Pressure']
-  );
-  if (feedWaterPressurePsi) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'feed_water_pressure_psi',
-      type: 'number_decimal',
-      value: feedWaterPressurePsi,
-    });
-  }
-
-  // Max Total Dissolved Solids (TDS, ppm) - integer
-  const maxTdsPpm = toIntegerString(
-    product['Max Total Dissolved Solids'] ||
-    product['Max Total Solids'] ||
-    product['Max Total Solid'] ||
-    product['Max TDS'] ||
-    product['TDS (max)']
-  );
-  if (maxTdsPpm) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'max_total_dissolved_solids_tds_ppm',
-      type: 'number_integer',
-      value: maxTdsPpm,
-    });
-  }
-
-  // Feed Water pH - decimal
-  const feedWaterPh = toDecimalString(
-    product['Feed Water pH'] ||
-    product['Feed Water ph'] ||
-    product['Feed water pH']
-  );
-  if (feedWaterPh) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'feed_water_ph',
-      type: 'number_decimal',
-      value: feedWaterPh,
-    });
-  }
-
-  // Source Type (City/Well) - text
-  const sourceType = asSingleLineValue(
-    product['City/Well'] ||
-    product['City or Well'] ||
-    product['city & well'] ||
-    product['Source Type']
-  );
-  if (sourceType) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'source_type',
-      type: 'single_line_text_field',
-      value: sourceType,
-    });
-  }
-
-  // Micron Rating (µm) - integer
-  const micronUm = toIntegerString(product['Micron'] || product.Micron);
-  if (micronUm) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'micron_rating_um',
-      type: 'number_integer',
-      value: micronUm,
-    });
-  }
-
-  // Voltage (VAC) - text to allow phase/Hz info
-  const voltageVac = asSingleLineValue(
-    product['Voltage'] ||
-    product['Volt'] ||
-    product['Valt'] ||
-    product['Voltage (VAC)']
-  );
-  if (voltageVac) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'voltage_vac',
-      type: 'single_line_text_field',
-      value: voltageVac,
-    });
-  }
-
-  // Media Type - text
-  const mediaType = asSingleLineValue(product['Media Type'] || product['Media']);
-  if (mediaType) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'media_type',
-      type: 'single_line_text_field',
-      value: mediaType,
-    });
-  }
-
-  // Brine Tank Size (text) - preserve descriptive values like 18"x36" Gray
-  const brineTankSizeText = asSingleLineValue(
-    product['Brine Tank Size'] ||
-    product['Brain Tank Size'] ||
-    product['Brine Tank (L)']
-  );
-  if (brineTankSizeText) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'brine_tank_size',
-      type: 'single_line_text_field',
-      value: brineTankSizeText,
-    });
-  }
-
-  const operatingPressures = asSingleLineValue(product['Operating Pressures']);
-  if (operatingPressures) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'operating_pressures',
-      type: 'single_line_text_field',
-      value: operatingPressures,
-    });
-  }
-
-  const operatingTemperatures = asSingleLineValue(product['Operating Temperatures']);
-  if (operatingTemperatures) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'operating_temperatures',
-      type: 'single_line_text_field',
-      value: operatingTemperatures,
-    });
-  }
-
-  const drainLine = asSingleLineValue(product['Drain Line']);
-  if (drainLine) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'drain_line',
-      type: 'single_line_text_field',
-      value: drainLine,
-    });
-  }
-
-  const powerRequirement = asSingleLineValue(product['Power Requirement']);
-  if (powerRequirement) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'power_requirement',
-      type: 'single_line_text_field',
-      value: powerRequirement,
-    });
-  }
-
-  const bypassValveIncluded = asSingleLineValue(product['Bypass Valve Included']);
-  if (bypassValveIncluded) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'bypass_valve_included',
-      type: 'single_line_text_field',
-      value: bypassValveIncluded,
-    });
-  }
-
-  const installationType = asSingleLineValue(product['Installation Type']);
-  if (installationType) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'installation_type',
-      type: 'single_line_text_field',
-      value: installationType,
-    });
-  }
-
-  const estimatedInstallationTime = asSingleLineValue(product['Estimated Installation Time']);
-  if (estimatedInstallationTime) {
-    metafields.push({
-      namespace: 'custom',
-      key: 'estimated_installation_time',
-      type: 'single_line_text_field',
-      value: estimatedInstallationTime,
-    });
-  }
-
-  return metafields;
-}
-
-function buildProductInput(product, options = {}) {
-  const {
-    addonMetafieldResult,
-    optionalUpgradesMetafieldResult,
-    replacementsMetafieldResult,
-    documentationMetafieldResult,
-    occupantVariantsMetafieldResult,
-  } = options;
-  const descriptionHtml = toDescriptionHtml(product);
-  const input = {
-    title: product['Product Name'] ? String(product['Product Name']) : undefined,
-    descriptionHtml,
-    status: asBooleanFlag(product['Sell on Website']) ? 'ACTIVE' : 'DRAFT',
-    productType: asSingleLineValue(product.Category),
-    vendor: asSingleLineValue(product['Sub Brand'] || product['Brand'] || product.Vendor),
-    metafields: buildMetafields(product, {
-      addonMetafieldResult,
-      optionalUpgradesMetafieldResult,
-      replacementsMetafieldResult,
-      documentationMetafieldResult,
-      occupantVariantsMetafieldResult,
-    }),
-    tags: normaliseArray(product.Collection).concat(normaliseArray(product['Problems solved (keywords)'])).filter(Boolean),
-  };
-
-
-  if (!input.metafields.length) {
-    delete input.metafields;
-  }
-
-  if (!input.tags.length) {
-    delete input.tags;
-  }
-
-  return input;
-}
-
-function buildProductMediaArray(product) {
-  const images = Array.isArray(product.Image) ? product.Image : [];
-  const media = [];
-
-  const baseAlt = String(product['Product Name'] || 'Product image');
-
-  for (let i = 0; i < images.length; i++) {
-    const img = images[i];
-    const candidates = [
-      img?.thumbnails?.full?.url,
-      img?.thumbnails?.large?.url,
-      img?.url,
-    ].filter(Boolean);
-
-    if (!candidates.length) {
-      continue;
-    }
-
-    const alt = images.length > 1 ? `${baseAlt} (${i + 1})` : baseAlt;
-
-    media.push({
-      alt,
-      mediaContentType: 'IMAGE',
-      originalSource: candidates[0],
-    });
-  }
-
-  return media;
-}
-
-function buildVariantInput(product) {
-  const price = product['Website Retail Price'];
-  const compareAtPrice = product.MSRP;
-  const sku = product.SKU;
-  const available = product.available;
-
-  // If neither price nor sku is present, skip this variant
-  if ((price === undefined || price === null) && !sku) {
-    return null;
-  }
-
-  const inventoryItem = { tracked: false };
-  if (sku) {
-    inventoryItem.sku = String(sku);
-  }
+  const inventoryItem = buildInventoryItemInput(product);
 
   const variant = {
     price: price !== undefined && price !== null ? String(price) : undefined,
@@ -2031,7 +1403,7 @@ function buildVariantInput(product) {
       compareAtPrice !== undefined && compareAtPrice !== null
         ? String(compareAtPrice)
         : undefined,
-    inventoryPolicy: available === false ? 'DENY' : 'CONTINUE',
+    inventoryPolicy: resolveInventoryPolicy(available, inventoryItem.tracked),
     inventoryItem,
   };
 
@@ -2111,6 +1483,8 @@ function heuristicGroupKey(product) {
   return toKey(vendor, category, (product['Product Name'] || '').toString());
 }
 
+const EXPLICIT_GROUP_FIELDS = ['Product Group', 'Parent ID', 'Handle', 'Link to Product Page', 'URL'];
+
 // Key used to group variant rows into a single Shopify product.
 // Priority order:
 // 1. Product Group
@@ -2120,28 +1494,209 @@ function heuristicGroupKey(product) {
 // 5. URL
 // 6. Product Name (as-is)
 // 7. Heuristic normalized name (Vendor|Category|Sanitized Product Name)
-function getGroupKey(product) {
+// Also reports where the key came from: `explicit` (with the field) or `heuristic`.
+function describeGroupKey(product) {
   // Prefer explicit, stable identifiers when present.
   // IMPORTANT: Do NOT use raw "Product Name" here because it often includes
   // variant tokens (e.g., sizes/capacities) and will split variants into
   // separate products. We always fall back to the heuristic key instead.
-  const explicit =
-    product['Product Group'] ||
-    product['Parent ID'] ||
-    product['Handle'] ||
-    product['Link to Product Page'] ||
-    product['URL'] ||
-    '';
-
-  const explicitKey = String(explicit).trim().toLowerCase();
-  if (explicitKey) return explicitKey;
+  for (const field of EXPLICIT_GROUP_FIELDS) {
+    const explicitKey = String(product[field] || '').trim().toLowerCase();
+    if (explicitKey) {
+      return { key: explicitKey, source: 'explicit', field };
+    }
+  }
 
   // Heuristic fallback that normalizes the name and strips variant-like tokens
   // to ensure all variants of the same base product group together.
-  return heuristicGroupKey(product);
+  return { key: heuristicGroupKey(product), source: 'heuristic', field: null };
+}
+
+const MAX_PRODUCT_OPTIONS = 3;
+
+/**
+ * Options shared by a group's variants, from `Option 1..3 Name`, as
+ * `{ position, name }`. Option 1 defaults to "Size" for multi-record groups
+ * (or when a later option is named).
+ */
+function resolveGroupOptions(group) {
+  const options = [];
+  for (let position = 1; position <= MAX_PRODUCT_OPTIONS; position += 1) {
+    const name = group.map((record) => asSingleLineValue(record[`Option ${position} Name`])).find(Boolean);
+    if (name) {
+      options.push({ position, name });
+    }
+  }
+  if (!options.some((option) => option.position === 1) && (group.length > 1 || options.length > 0)) {
+    options.unshift({ position: 1, name: 'Size' });
+  }
+  return options;
+}
+
+// Option 1 falls back to tank size, then the SKU; later options need an explicit value.
+function resolveOptionValue(record, index, position = 1) {
+  const explicit = asSingleLineValue(record[`Option ${position} Value`]);
+  if (explicit || position !== 1) {
+    return explicit;
+  }
+  return asSingleLineValue(record['Tank Size']) ||
+    asSingleLineValue(record.SKU) ||
+    `Variant ${index + 1}`;
+}
+
+function describeRecord(record, index) {
+  return getAirtableRecordId(record) || asSingleLineValue(record?.SKU) || `#${index + 1}`;
+}
+
+/**
+ * Checks a group's options before anything is written: records must agree on
+ * option names, names must be unique, every named option needs a value and no
+ * two records may share the same combination. Returns the problems found.
+ */
+function validateGroupOptions(group, groupOptions) {
+  const issues = [];
+
+  for (const { position } of groupOptions) {
+    const named = new Map();
+    group.forEach((record, index) => {
+      const name = asSingleLineValue(record[`Option ${position} Name`]);
+      if (name) {
+        if (!named.has(name)) named.set(name, []);
+        named.get(name).push(describeRecord(record, index));
+      }
+    });
+    if (named.size > 1) {
+      const details = Array.from(named.entries()).map(([name, labels]) => `"${name}" (${labels.join(', ')})`);
+      issues.push(`Records disagree on Option ${position} Name: ${details.join(' vs ')}.`);
+    }
+  }
+
+  const seenNames = new Set();
+  for (const { name } of groupOptions) {
+    const key = name.toLowerCase();
+    if (seenNames.has(key)) {
+      issues.push(`Option names must be unique; "${name}" is used more than once.`);
+    }
+    seenNames.add(key);
+  }
+
+  const combinations = new Map();
+  group.forEach((record, index) => {
+    const values = groupOptions.map(({ position }) => resolveOptionValue(record, index, position));
+    groupOptions.forEach(({ position, name }, optionIndex) => {
+      if (!values[optionIndex]) {
+        issues.push(`Record ${describeRecord(record, index)} has no Option ${position} Value for "${name}".`);
+      }
+    });
+    if (!groupOptions.length || values.some((value) => !value)) {
+      return;
+    }
+    const combination = groupOptions.map(({ name }, optionIndex) => `${name}: ${values[optionIndex]}`).join(', ');
+    const key = combination.toLowerCase();
+    if (combinations.has(key)) {
+      issues.push(
+        `Records ${combinations.get(key)} and ${describeRecord(record, index)} have the same options (${combination}).`
+      );
+    } else {
+      combinations.set(key, describeRecord(record, index));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Checks each record's pricing before anything is written: price below cost,
+ * MSRP below price (Shopify would drop the compare-at price), zero or missing
+ * prices and large moves against the current Shopify price, matched by SKU.
+ */
+function validateGroupPricing(group, currentState) {
+  const currentPrices = new Map(
+    (currentState?.variants || [])
+      .filter((variant) => variant?.sku)
+      .map((variant) => [String(variant.sku).trim(), firstNumber(variant.price)])
+  );
+  const findings = [];
+
+  group.forEach((record, index) => {
+    const label = describeRecord(record, index);
+    const sku = asSingleLineValue(record.SKU) || null;
+    const price = firstNumber(record['Website Retail Price']);
+    const msrp = firstNumber(record.MSRP);
+    const cost = firstNumber(resolveInventoryCost(record));
+
+    if (price === undefined || price <= 0) {
+      findings.push({
+        code: 'missing_price',
+        sku,
+        message: `Record ${label} has no Website Retail Price.`,
+      });
+      return;
+    }
+    if (cost !== undefined && price < cost) {
+      findings.push({
+        code: 'price_below_cost',
+        sku,
+        price,
+        cost,
+        message: `Record ${label} is priced at ${price}, below its cost of ${cost}.`,
+      });
+    }
+    if (msrp !== undefined && msrp > 0 && msrp < price) {
+      findings.push({
+        code: 'msrp_below_price',
+        sku,
+        price,
+        msrp,
+        message: `Record ${label} has MSRP ${msrp} below its price of ${price}; the compare-at price would be ignored.`,
+      });
+    }
+    const currentPrice = sku ? currentPrices.get(sku) : undefined;
+    if (currentPrice !== undefined && currentPrice > 0) {
+      const changePercent = Math.round((Math.abs(price - currentPrice) / currentPrice) * 1000) / 10;
+      if (changePercent > PRICE_CHANGE_THRESHOLD_PERCENT) {
+        findings.push({
+          code: 'price_change',
+          sku,
+          price,
+          currentPrice,
+          changePercent,
+          message: `Record ${label} changes the price from ${currentPrice} to ${price} (${changePercent}%).`,
+        });
+      }
+    }
+  });
+
+  return findings;
+}
+
+// Turns pricing findings into the action the policy asks for. `status` is only
+// set when the product has to be saved as DRAFT instead of ACTIVE.
+function assessGroupPricing(group, currentState, policy) {
+  const findings = validateGroupPricing(group, currentState);
+  if (findings.length === 0) {
+    return { policy, findings, action: 'none' };
+  }
+  if (policy === 'block') {
+    return { policy, findings, action: 'blocked' };
+  }
+  if (policy === 'draft' && resolveProductStatus(group[0]) === 'ACTIVE') {
+    return { policy, findings, action: 'draft', status: 'DRAFT' };
+  }
+  return { policy, findings, action: 'warned' };
 }
 
-// Build a variant input from a single record, optionally embedding the option name and value
+function buildPricingBlockedResult(pricing, context) {
+  return {
+    ...context,
+    status: 'blocked',
+    reason: `Pricing checks failed: ${pricing.findings.map((finding) => finding.message).join(' ')}`,
+    pricing,
+  };
+}
+
+// Build a variant input from a single record, optionally embedding option names and values
+// (a single name/value, or parallel arrays of up to three).
 function buildVariantInputFromRecord(product, optionName, optionValue) {
   const price = product['Website Retail Price'];
   const compareAtPrice = product.MSRP;
@@ -2153,10 +1708,7 @@ function buildVariantInputFromRecord(product, optionName, optionValue) {
     return null;
   }
 
-  const inventoryItem = { tracked: false };
-  if (sku) {
-    inventoryItem.sku = String(sku);
-  }
+  const inventoryItem = buildInventoryItemInput(product);
 
   const variant = {
     price: price !== undefined && price !== null ? String(price) : undefined,
@@ -2164,29 +1716,29 @@ function buildVariantInputFromRecord(product, optionName, optionValue) {
       compareAtPrice !== undefined && compareAtPrice !== null
         ? String(compareAtPrice)
         : undefined,
-    inventoryPolicy: available === false ? 'DENY' : 'CONTINUE',
+    inventoryPolicy: resolveInventoryPolicy(available, inventoryItem.tracked),
     inventoryItem,
   };
 
-  // Add option values if both name and value are provided
-  if (optionName && optionValue !== undefined && optionValue !== null) {
-    const v = String(optionValue).trim();
-    if (v) {
-      // Use optionValues array with optionName and name (value)
-      variant.optionValues = [
-        {
-          optionName: String(optionName),
-          name: v,
-        }
-      ];
-    }
+  // Add option values where both name and value are provided
+  const optionNames = [].concat(optionName ?? []);
+  const optionValues = [].concat(optionValue ?? []);
+  const pairs = optionNames
+    .map((name, index) => ({
+      optionName: name ? String(name) : '',
+      name: optionValues[index] !== undefined && optionValues[index] !== null ? String(optionValues[index]).trim() : '',
+    }))
+    .filter((pair) => pair.optionName && pair.name);
+  if (pairs.length) {
+    // Use optionValues array with optionName and name (value)
+    variant.optionValues = pairs;
   }
 
   return variant;
 }
 
 // Bulk create variants for a given product
-async function createVariants(productId, variants) {
+async function createVariants(productId, variants, strategy = 'REMOVE_STANDALONE_VARIANT') {
   // Filter out any nulls (e.g., missing price & sku)
   const prepared = variants.filter(Boolean);
   if (!prepared.length) {
@@ -2195,7 +1747,7 @@ async function createVariants(productId, variants) {
 
   const variables = {
     productId,
-    strategy: 'REMOVE_STANDALONE_VARIANT',
+    strategy,
     variants: prepared,
   };
 
@@ -2219,62 +1771,429 @@ async function createVariants(productId, variants) {
   };
 }
 
-async function callShopify(query, variables = {}, requestLabel = 'graphqlRequest') {
-  if (!GRAPHQL_URL || !SHOPIFY_TOKEN) {
-    throw new Error('Shopify configuration missing. Ensure SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_ACCESS_TOKEN env vars are set.');
-  }
+function getVariantSku(variant) {
+  const sku = variant?.inventoryItem?.sku ?? variant?.sku;
+  return sku ? String(sku).trim() : undefined;
+}
 
-  console.log('Calling Shopify GraphQL', {
-    requestLabel,
-    graphqlUrl: GRAPHQL_URL,
-    variableKeys: Object.keys(variables || {}),
-  });
+function isStandaloneDefaultVariant(variant) {
+  const options = variant?.selectedOptions || [];
+  return options.length === 1 && options[0]?.name === 'Title' && options[0]?.value === 'Default Title';
+}
 
-  if (variables?.input?.metafields) {
-    const metafieldsToLog = Array.isArray(variables.input.metafields)
-      ? variables.input.metafields.map((field, index) => ({
-        index,
-        namespace: field?.namespace,
-        key: field?.key,
-        type: field?.type,
-        value: field?.value,
-      }))
-      : variables.input.metafields;
+function variantNeedsUpdate(desired, existing) {
+  for (const field of DIFFABLE_VARIANT_FIELDS) {
+    if (desired[field] === undefined) {
+      continue;
+    }
+    const type = field === 'inventoryPolicy' ? undefined : 'money';
+    if (normaliseComparableValue(desired[field], type) !== normaliseComparableValue(existing[field], type)) {
+      return true;
+    }
+  }
+  if (diffInventoryItem(desired, existing).length > 0) {
+    return true;
+  }
 
-    console.log('Shopify metafields payload', {
-      requestLabel,
-      metafields: metafieldsToLog,
+  const currentOptions = new Map(
+    (existing.selectedOptions || []).map((option) => [option.name, option.value])
+  );
+  return (desired.optionValues || []).some(
+    (option) => currentOptions.get(option.optionName) !== option.name
+  );
+}
+
+function sameOptionCombination(desired, existing) {
+  const desiredOptions = desired.optionValues || [];
+  const currentOptions = existing.selectedOptions || [];
+  return desiredOptions.length > 0
+    && desiredOptions.length === currentOptions.length
+    && desiredOptions.every((option) => currentOptions.some(
+      (current) => current.name === option.optionName && current.value === option.name
+    ));
+}
+
+/**
+ * Matches desired variants against the live ones by SKU and decides which to
+ * update, create and (optionally) delete. A lone SKU-less variant is adopted
+ * by a lone unmatched desired variant, which covers products whose initial
+ * variant was never given a SKU.
+ */
+function planVariantReconciliation(variants, currentVariants, options = {}) {
+  const { pruneVariants = false } = options;
+  const desired = variants.filter(Boolean);
+  const current = currentVariants || [];
+  const currentBySku = new Map();
+  for (const variant of current) {
+    const sku = getVariantSku(variant);
+    if (sku && !currentBySku.has(sku)) {
+      currentBySku.set(sku, variant);
+    }
+  }
+
+  const update = [];
+  const unchanged = [];
+  const unmatched = [];
+  const matchedIds = new Set();
+
+  for (const variant of desired) {
+    const sku = getVariantSku(variant);
+    const existing = sku ? currentBySku.get(sku) : undefined;
+    if (!existing) {
+      unmatched.push(variant);
+      continue;
+    }
+    matchedIds.add(existing.id);
+    if (variantNeedsUpdate(variant, existing)) {
+      update.push({ ...variant, id: existing.id });
+    } else {
+      unchanged.push({ id: existing.id, sku });
+    }
+  }
+
+  let create = unmatched;
+  const leftovers = current.filter((variant) => !matchedIds.has(variant.id));
+  if (unmatched.length === 1 && leftovers.length === 1 && current.length === 1 && !getVariantSku(leftovers[0])) {
+    update.push({ ...unmatched[0], id: leftovers[0].id });
+    matchedIds.add(leftovers[0].id);
+    create = [];
+  } else {
+    // SKU-less variants (e.g. the one productCreate makes for explicit options)
+    // are adopted by the desired variant with the same option combination.
+    const skuless = leftovers.filter((variant) => !getVariantSku(variant) && !isStandaloneDefaultVariant(variant));
+    create = unmatched.filter((variant) => {
+      const match = skuless.find(
+        (candidate) => !matchedIds.has(candidate.id) && sameOptionCombination(variant, candidate)
+      );
+      if (!match) {
+        return true;
+      }
+      update.push({ ...variant, id: match.id });
+      matchedIds.add(match.id);
+      return false;
     });
   }
 
-  const response = await fetch(GRAPHQL_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'X-Shopify-Access-Token': SHOPIFY_TOKEN,
+  const onlyStandalone = current.length === 1 && isStandaloneDefaultVariant(current[0]) && !matchedIds.has(current[0].id);
+  const strategy = onlyStandalone ? 'REMOVE_STANDALONE_VARIANT' : 'DEFAULT';
+
+  const orphaned = current.filter(
+    (variant) => !matchedIds.has(variant.id) && !(onlyStandalone && create.length)
+  );
+  // Shopify refuses to delete the last variant of a product
+  const remaining = matchedIds.size + create.length;
+  const remove = pruneVariants && remaining > 0 ? orphaned : [];
+
+  return {
+    update,
+    create,
+    remove,
+    unchanged,
+    orphaned: orphaned.map((variant) => ({ id: variant.id, sku: getVariantSku(variant) || null })),
+    strategy,
+  };
+}
+
+/**
+ * Creates options the desired variants use but the live product lacks. Existing
+ * variants get the option's first value (LEAVE_AS_IS) and are then corrected
+ * by reconcileVariants. Returns the names of the options created.
+ */
+async function ensureProductOptions(productId, variants, currentOptions = []) {
+  const existing = new Set(currentOptions.map((option) => option.name.toLowerCase()));
+  const missing = buildProductOptionsInput(variants.filter(Boolean))
+    .filter((option) => !existing.has(option.name.toLowerCase()));
+  if (!missing.length) {
+    return [];
+  }
+
+  const response = await callShopify(
+    PRODUCT_OPTIONS_CREATE_MUTATION,
+    { productId, options: missing, variantStrategy: 'LEAVE_AS_IS' },
+    'productOptionsCreate'
+  );
+  const userErrors = response.data?.productOptionsCreate?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`productOptionsCreate userErrors: ${message}`);
+  }
+
+  return missing.map((option) => option.name);
+}
+
+async function reconcileVariants(productId, variants, currentVariants, options = {}) {
+  const plan = planVariantReconciliation(variants, currentVariants, options);
+  const variantIds = plan.unchanged.map((variant) => variant.id);
+
+  if (plan.update.length > 0) {
+    const response = await callShopify(
+      VARIANTS_BULK_UPDATE_MUTATION,
+      { productId, variants: plan.update },
+      'productVariantsBulkUpdate'
+    );
+    const payload = response.data?.productVariantsBulkUpdate;
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`productVariantsBulkUpdate userErrors: ${message}`);
+    }
+    variantIds.push(...(payload?.productVariants || []).map((variant) => variant.id));
+  }
+
+  let createdIds = [];
+  if (plan.create.length > 0) {
+    const created = await createVariants(productId, plan.create, plan.strategy);
+    createdIds = created.variantIds;
+    variantIds.push(...createdIds);
+  }
+
+  if (plan.remove.length > 0) {
+    const response = await callShopify(
+      VARIANTS_BULK_DELETE_MUTATION,
+      { productId, variantsIds: plan.remove.map((variant) => variant.id) },
+      'productVariantsBulkDelete'
+    );
+    const userErrors = response.data?.productVariantsBulkDelete?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`productVariantsBulkDelete userErrors: ${message}`);
+    }
+  }
+
+  return {
+    variantIds,
+    variantErrors: [],
+    reconciliation: {
+      updated: plan.update.map((variant) => ({ id: variant.id, sku: getVariantSku(variant) || null })),
+      created: createdIds,
+      unchanged: plan.unchanged,
+      deleted: plan.remove.map((variant) => ({ id: variant.id, sku: getVariantSku(variant) || null })),
+      orphaned: plan.orphaned,
     },
-    body: JSON.stringify({ query, variables }),
+  };
+}
+
+// Per-record request counters; each group runs inside its own store.
+const shopifyMetricsStorage = new AsyncLocalStorage();
+
+function createShopifyMetrics() {
+  return {
+    requests: 0,
+    retries: 0,
+    throttleWaits: 0,
+    throttleWaitMs: 0,
+  };
+}
+
+// Last known state of the shop's query-cost bucket, shared by every request.
+const throttleState = {
+  currentlyAvailable: null,
+  maximumAvailable: null,
+  restoreRate: null,
+  updatedAt: 0,
+};
+const lastQueryCosts = new Map();
+
+function estimateAvailableCost(now = Date.now()) {
+  if (throttleState.currentlyAvailable === null) {
+    return null;
+  }
+  const restored = ((now - throttleState.updatedAt) / 1000) * (throttleState.restoreRate || 0);
+  return Math.min(
+    throttleState.maximumAvailable || Infinity,
+    throttleState.currentlyAvailable + restored
+  );
+}
+
+/**
+ * Waits until the bucket is expected to hold enough points for the request,
+ * then reserves those points so concurrent callers see the deduction.
+ */
+async function reserveQueryCost(requestLabel, metrics) {
+  const cost = lastQueryCosts.get(requestLabel) || DEFAULT_QUERY_COST_ESTIMATE;
+  const available = estimateAvailableCost();
+  if (available === null) {
+    return;
+  }
+
+  // Deduct before waiting: requests issued concurrently queue up behind each
+  // other instead of all waking once the bucket refills.
+  throttleState.currentlyAvailable = available - cost;
+  throttleState.updatedAt = Date.now();
+
+  const required = Math.min(cost, throttleState.maximumAvailable || cost);
+  if (throttleState.restoreRate && available < required) {
+    const waitMs = Math.ceil(((required - available) / throttleState.restoreRate) * 1000);
+    console.log('Pausing before Shopify request to respect query cost budget', {
+      requestLabel,
+      available,
+      cost,
+      waitMs,
+    });
+    if (metrics) {
+      metrics.throttleWaits += 1;
+      metrics.throttleWaitMs += waitMs;
+    }
+    await sleep(waitMs);
+  }
+}
+
+function recordQueryCost(requestLabel, cost) {
+  if (!cost) {
+    return;
+  }
+  if (cost.requestedQueryCost) {
+    lastQueryCosts.set(requestLabel, cost.requestedQueryCost);
+  }
+  const status = cost.throttleStatus;
+  if (status && typeof status.currentlyAvailable === 'number') {
+    throttleState.currentlyAvailable = status.currentlyAvailable;
+    throttleState.maximumAvailable = status.maximumAvailable;
+    throttleState.restoreRate = status.restoreRate;
+    throttleState.updatedAt = Date.now();
+  }
+}
+
+function computeRetryDelay(attempt, minimumMs = 0) {
+  const exponential = Math.min(SHOPIFY_RETRY_MAX_DELAY_MS, SHOPIFY_RETRY_BASE_DELAY_MS * (2 ** attempt));
+  // Full jitter keeps parallel retries from hitting Shopify in lockstep.
+  const jittered = Math.random() * exponential;
+  return Math.ceil(Math.max(minimumMs, jittered));
+}
+
+// Non-idempotent requests pass `throttledOnly`: a THROTTLED request never ran, a server error may have.
+function isTransientGraphqlError(errors, throttledOnly = false) {
+  return Array.isArray(errors) && errors.length > 0 && errors.every((error) => {
+    const code = error?.extensions?.code;
+    return code === 'THROTTLED' ||
+      (!throttledOnly && (code === 'INTERNAL_SERVER_ERROR' || code === 'SERVICE_UNAVAILABLE'));
   });
+}
 
-  console.log('Shopify GraphQL response', {
+/**
+ * Sends a GraphQL request, retrying transient failures. Queries are retried on
+ * network errors, 429, 5xx and throttling. Mutations are only retried on 429
+ * and THROTTLED, where Shopify guarantees nothing ran, so a timeout after a
+ * write was applied cannot create a duplicate. `options.idempotent` overrides
+ * this for mutations that are safe to repeat.
+ */
+async function callShopify(query, variables = {}, requestLabel = 'graphqlRequest', options = {}) {
+  const graphqlUrl = options.apiVersion ? getGraphqlUrl(options.apiVersion) : GRAPHQL_URL;
+  if (!graphqlUrl || !SHOPIFY_TOKEN) {
+    throw new Error('Shopify configuration missing. Ensure SHOPIFY_STORE_DOMAIN and SHOPIFY_ADMIN_ACCESS_TOKEN env vars are set.');
+  }
+
+  const metrics = shopifyMetricsStorage.getStore();
+  const idempotent = options.idempotent ?? !/^\s*mutation\b/.test(query);
+
+  console.log('Calling Shopify GraphQL', {
     requestLabel,
-    status: response.status,
-    ok: response.ok,
+    graphqlUrl,
+    variableKeys: Object.keys(variables || {}),
   });
 
-  if (!response.ok) {
-    const text = await response.text();
-    throw new Error(`Shopify request failed (${requestLabel}) with status ${response.status}: ${text}`);
-  }
+  if (variables?.input?.metafields) {
+    const metafieldsToLog = Array.isArray(variables.input.metafields)
+      ? variables.input.metafields.map((field, index) => ({
+        index,
+        namespace: field?.namespace,
+        key: field?.key,
+        type: field?.type,
+        value: field?.value,
+      }))
+      : variables.input.metafields;
 
-  const payload = await response.json();
-  if (payload.errors) {
-    throw new Error(
-      `Shopify GraphQL errors (${requestLabel}): ${JSON.stringify(payload.errors)}`
-    );
+    console.log('Shopify metafields payload', {
+      requestLabel,
+      metafields: metafieldsToLog,
+    });
   }
 
-  return payload;
+  for (let attempt = 0; ; attempt++) {
+    const canRetry = attempt < SHOPIFY_MAX_RETRIES;
+    // eslint-disable-next-line no-await-in-loop
+    await reserveQueryCost(requestLabel, metrics);
+    if (metrics) {
+      metrics.requests += 1;
+    }
+
+    let response;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      response = await fetch(graphqlUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Shopify-Access-Token': SHOPIFY_TOKEN,
+        },
+        body: JSON.stringify({ query, variables }),
+      });
+    } catch (networkError) {
+      if (!canRetry || !idempotent) {
+        throw new Error(`Shopify request failed (${requestLabel}): ${networkError.message}`);
+      }
+      const delay = computeRetryDelay(attempt);
+      console.warn('Retrying Shopify request after network error', { requestLabel, attempt: attempt + 1, delay, error: networkError.message });
+      if (metrics) {
+        metrics.retries += 1;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(delay);
+      continue;
+    }
+
+    console.log('Shopify GraphQL response', {
+      requestLabel,
+      status: response.status,
+      ok: response.ok,
+    });
+
+    if (!response.ok) {
+      // eslint-disable-next-line no-await-in-loop
+      const text = await response.text();
+      const transient = response.status === 429 || (idempotent && response.status >= 500);
+      if (transient && canRetry) {
+        const retryAfterSeconds = Number(response.headers?.get?.('Retry-After'));
+        const delay = computeRetryDelay(attempt, Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : 0);
+        console.warn('Retrying Shopify request after HTTP error', { requestLabel, status: response.status, attempt: attempt + 1, delay });
+        if (metrics) {
+          metrics.retries += 1;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(delay);
+        continue;
+      }
+      throw new Error(`Shopify request failed (${requestLabel}) with status ${response.status}: ${text}`);
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const payload = await response.json();
+    recordQueryCost(requestLabel, payload.extensions?.cost);
+
+    if (payload.errors) {
+      if (canRetry && isTransientGraphqlError(payload.errors, !idempotent)) {
+        // For THROTTLED, wait at least until the bucket can cover the request again.
+        const cost = payload.extensions?.cost;
+        const status = cost?.throttleStatus;
+        const refillMs = status?.restoreRate
+          ? ((cost.requestedQueryCost - status.currentlyAvailable) / status.restoreRate) * 1000
+          : 0;
+        const delay = computeRetryDelay(attempt, Math.max(0, refillMs));
+        console.warn('Retrying Shopify request after transient GraphQL error', { requestLabel, attempt: attempt + 1, delay });
+        if (metrics) {
+          metrics.retries += 1;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(delay);
+        continue;
+      }
+      throw new Error(
+        `Shopify GraphQL errors (${requestLabel}): ${JSON.stringify(payload.errors)}`
+      );
+    }
+
+    return payload;
+  }
 }
 
 const PRODUCT_CREATE_MUTATION = `
@@ -2285,10 +2204,20 @@ mutation productCreate($input: ProductInput!, $media: [CreateMediaInput!]) {
       title
       handle
       onlineStoreUrl
+      media(first: 100) {
+        nodes {
+          id
+        }
+      }
       variants(first: 1) {
         edges {
           node {
             id
+            sku
+            selectedOptions {
+              name
+              value
+            }
           }
         }
       }
@@ -2301,27 +2230,133 @@ mutation productCreate($input: ProductInput!, $media: [CreateMediaInput!]) {
 }
 `;
 
-async function replaceProductMedia(productId, product) {
-  const media = buildProductMediaArray(product);
-  const hasNewMedia = Array.isArray(media) && media.length > 0;
-  if (!hasNewMedia) {
-    return { replaced: false, reason: 'no-new-media' };
+const MEDIA_SOURCE_METAFIELD = { namespace: 'custom', key: 'airtable_media_map' };
+
+function readMediaSourceMap(metafields) {
+  const field = (metafields || []).find(
+    (entry) => entry?.namespace === MEDIA_SOURCE_METAFIELD.namespace && entry?.key === MEDIA_SOURCE_METAFIELD.key
+  );
+  if (!field?.value) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(field.value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
   }
+}
 
-  // 1) Fetch existing media IDs
-  const existing = await callShopify(
-    PRODUCT_MEDIA_IDS_QUERY,
-    { id: productId },
-    'productMediaFetch'
+/**
+ * Works out which Airtable attachments need uploading, which Shopify media
+ * items are no longer referenced and how to reorder the survivors. Media
+ * without a recorded attachment id (added in Shopify admin, or uploaded
+ * before tracking existed) is never deleted.
+ */
+function planMediaSync(entries, currentState) {
+  const currentMedia = currentState?.media || [];
+  const currentIds = currentMedia.map((item) => item?.id).filter(Boolean);
+  const currentIdSet = new Set(currentIds);
+  const sourceMap = readMediaSourceMap(currentState?.metafields);
+
+  const keep = new Map();
+  const create = [];
+  for (const entry of entries) {
+    const mediaId = entry.attachmentId ? sourceMap[entry.attachmentId] : undefined;
+    if (mediaId && currentIdSet.has(mediaId) && !keep.has(entry.attachmentId)) {
+      keep.set(entry.attachmentId, mediaId);
+    } else {
+      create.push(entry);
+    }
+  }
+
+  // Only media the sync uploaded is removed; media added in Shopify is never in the source map.
+  const trackedIds = new Set(Object.values(sourceMap));
+  const keptIds = new Set(keep.values());
+  const remove = currentIds.filter((id) => trackedIds.has(id) && !keptIds.has(id));
+
+  const altUpdates = [];
+  for (const entry of entries) {
+    const mediaId = keep.get(entry.attachmentId);
+    const existing = mediaId ? currentMedia.find((item) => item.id === mediaId) : undefined;
+    if (existing && existing.alt !== entry.input.alt) {
+      altUpdates.push({ id: mediaId, alt: entry.input.alt });
+    }
+  }
+
+  return { keep, create, remove, altUpdates, sourceMap };
+}
+
+// A record with no images: only media the sync uploaded (tracked in the source map) is removed.
+function planMediaRemoval(currentState) {
+  const currentIds = new Set((currentState?.media || []).map((item) => item?.id).filter(Boolean));
+  const sourceMap = readMediaSourceMap(currentState?.metafields);
+  const remove = Array.from(new Set(Object.values(sourceMap))).filter((id) => currentIds.has(id));
+  return { keep: new Map(), create: [], remove, altUpdates: [], sourceMap };
+}
+
+// Builds the sequential moves needed to turn `current` into `desired`.
+function buildMediaMoves(current, desired) {
+  const working = current.slice();
+  const moves = [];
+  desired.forEach((id, position) => {
+    if (working[position] === id) {
+      return;
+    }
+    const from = working.indexOf(id);
+    if (from === -1) {
+      return;
+    }
+    working.splice(from, 1);
+    working.splice(position, 0, id);
+    moves.push({ id, newPosition: String(position) });
+  });
+  return moves;
+}
+
+async function setProductMetafields(ownerId, metafields) {
+  if (!metafields.length) {
+    return [];
+  }
+
+  const response = await callShopify(
+    METAFIELDS_SET_MUTATION,
+    { metafields: metafields.map((field) => ({ ownerId, ...field })) },
+    'metafieldsSet'
   );
-  const edges = existing?.data?.product?.media?.edges || [];
-  const existingIds = edges.map((e) => e?.node?.id).filter(Boolean);
 
-  // 2) Delete existing media if any
-  if (existingIds.length > 0) {
+  const payload = response.data?.metafieldsSet;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`metafieldsSet userErrors: ${message}`);
+  }
+
+  return payload?.metafields || [];
+}
+
+async function writeMediaSourceMap(productId, sourceMap) {
+  await setProductMetafields(productId, [{
+    namespace: MEDIA_SOURCE_METAFIELD.namespace,
+    key: MEDIA_SOURCE_METAFIELD.key,
+    type: 'json',
+    value: JSON.stringify(sourceMap),
+  }]);
+}
+
+async function syncProductMedia(productId, product, options = {}) {
+  const entries = buildProductMediaEntries(product);
+  const currentState = options.currentState || await fetchProductSyncState(productId);
+  const plan = entries.length ? planMediaSync(entries, currentState) : planMediaRemoval(currentState);
+  if (!entries.length && !plan.remove.length) {
+    return { synced: false, reason: 'no-new-media' };
+  }
+
+  // 1) Remove media whose Airtable attachment has vanished
+  if (plan.remove.length > 0) {
     const del = await callShopify(
       PRODUCT_DELETE_MEDIA_MUTATION,
-      { productId, mediaIds: existingIds },
+      { productId, mediaIds: plan.remove },
       'productDeleteMedia'
     );
     const delErrors = del?.data?.productDeleteMedia?.userErrors || [];
@@ -2331,19 +2366,95 @@ async function replaceProductMedia(productId, product) {
     }
   }
 
-  // 3) Create new media
-  const crt = await callShopify(
-    PRODUCT_CREATE_MEDIA_MUTATION,
-    { productId, media },
-    'productCreateMedia'
-  );
-  const mediaErrors = crt?.data?.productCreateMedia?.mediaUserErrors || [];
-  if (mediaErrors.length > 0) {
-    const message = mediaErrors.map((e) => e.message).join('; ');
-    throw new Error(`productCreateMedia mediaUserErrors: ${message}`);
+  // 2) Upload only attachments that are new to Shopify
+  const created = new Map();
+  if (plan.create.length > 0) {
+    const crt = await callShopify(
+      PRODUCT_CREATE_MEDIA_MUTATION,
+      { productId, media: plan.create.map((entry) => entry.input) },
+      'productCreateMedia'
+    );
+    const mediaErrors = crt?.data?.productCreateMedia?.mediaUserErrors || [];
+    if (mediaErrors.length > 0) {
+      const message = mediaErrors.map((e) => e.message).join('; ');
+      throw new Error(`productCreateMedia mediaUserErrors: ${message}`);
+    }
+    const createdMedia = crt?.data?.productCreateMedia?.media || [];
+    plan.create.forEach((entry, index) => {
+      if (createdMedia[index]?.id) {
+        created.set(entry, createdMedia[index].id);
+      }
+    });
+  }
+
+  // 3) Refresh alt text on kept media whose position label changed
+  if (plan.altUpdates.length > 0) {
+    const upd = await callShopify(
+      PRODUCT_UPDATE_MEDIA_MUTATION,
+      { productId, media: plan.altUpdates },
+      'productUpdateMedia'
+    );
+    const updErrors = upd?.data?.productUpdateMedia?.mediaUserErrors || [];
+    if (updErrors.length > 0) {
+      const message = updErrors.map((e) => e.message).join('; ');
+      throw new Error(`productUpdateMedia mediaUserErrors: ${message}`);
+    }
+  }
+
+  // 4) Reorder so Shopify matches the Airtable attachment order
+  const desiredOrder = entries
+    .map((entry) => (created.has(entry) ? created.get(entry) : plan.keep.get(entry.attachmentId)))
+    .filter(Boolean);
+  const removedIds = new Set(plan.remove);
+  const currentOrder = (currentState?.media || [])
+    .map((item) => item.id)
+    .filter((id) => id && !removedIds.has(id))
+    .concat(Array.from(created.values()));
+  const moves = buildMediaMoves(currentOrder, desiredOrder);
+
+  if (moves.length > 0) {
+    const reorder = await callShopify(
+      PRODUCT_REORDER_MEDIA_MUTATION,
+      { id: productId, moves },
+      'productReorderMedia'
+    );
+    const reorderErrors = reorder?.data?.productReorderMedia?.mediaUserErrors || [];
+    if (reorderErrors.length > 0) {
+      const message = reorderErrors.map((e) => e.message).join('; ');
+      throw new Error(`productReorderMedia mediaUserErrors: ${message}`);
+    }
+  }
+
+  // 5) Persist the attachment -> media mapping for the next sync
+  const sourceMap = {};
+  for (const entry of entries) {
+    const mediaId = created.has(entry) ? created.get(entry) : plan.keep.get(entry.attachmentId);
+    if (entry.attachmentId && mediaId) {
+      sourceMap[entry.attachmentId] = mediaId;
+    }
   }
+  if (JSON.stringify(sourceMap) !== JSON.stringify(plan.sourceMap)) {
+    await writeMediaSourceMap(productId, sourceMap);
+  }
+
+  return {
+    synced: true,
+    createdCount: created.size,
+    deletedCount: plan.remove.length,
+    keptCount: plan.keep.size,
+    reorderedCount: moves.length,
+  };
+}
 
-  return { replaced: true, createdCount: (crt?.data?.productCreateMedia?.media || []).length };
+function summariseMediaPlan(entries, currentState) {
+  const plan = entries.length ? planMediaSync(entries, currentState) : planMediaRemoval(currentState);
+  return {
+    current: (currentState?.media || []).length,
+    desired: entries.length,
+    add: plan.create.map((entry) => entry.attachmentId || entry.input.originalSource),
+    remove: plan.remove,
+    altUpdates: plan.altUpdates.length,
+  };
 }
 
 const PRODUCT_UPDATE_MUTATION = `
@@ -2363,6 +2474,41 @@ mutation productUpdate($input: ProductInput!) {
 }
 `;
 
+const METAFIELDS_DELETE_MUTATION = `
+mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+  metafieldsDelete(metafields: $metafields) {
+    deletedMetafields {
+      ownerId
+      namespace
+      key
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const STAGED_UPLOAD_MUTATION = `
+mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+  stagedUploadsCreate(input: $input) {
+    stagedTargets {
+      url
+      resourceUrl
+      parameters {
+        name
+        value
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
 const FILE_CREATE_MUTATION = `
 mutation fileCreate($files: [FileCreateInput!]!) {
   fileCreate(files: $files) {
@@ -2403,26 +2549,31 @@ mutation productVariantsBulkCreate(
 }
 `;
 
-const COLLECTION_SEARCH_QUERY = `
-query collectionByTitle($query: String!) {
-  collections(first: 1, query: $query) {
-    edges {
-      node {
-        id
-        title
-      }
+const PRODUCT_OPTIONS_CREATE_MUTATION = `
+mutation productOptionsCreate($productId: ID!, $options: [OptionCreateInput!]!, $variantStrategy: ProductOptionCreateVariantStrategy) {
+  productOptionsCreate(productId: $productId, options: $options, variantStrategy: $variantStrategy) {
+    product {
+      id
+    }
+    userErrors {
+      code
+      field
+      message
     }
   }
 }
 `;
 
-const COLLECTION_ADD_MUTATION = `
-mutation collectionAddProducts($collectionId: ID!, $productIds: [ID!]!) {
-  collectionAddProducts(id: $collectionId, productIds: $productIds) {
-    collection {
+const VARIANTS_BULK_UPDATE_MUTATION = `
+mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+  productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+    productVariants {
       id
+      sku
+      price
     }
     userErrors {
+      code
       field
       message
     }
@@ -2430,8 +2581,53 @@ mutation collectionAddProducts($collectionId: ID!, $productIds: [ID!]!) {
 }
 `;
 
-const PUBLICATIONS_QUERY = `
-query publications($first: Int!) {
+const VARIANTS_BULK_DELETE_MUTATION = `
+mutation productVariantsBulkDelete($productId: ID!, $variantsIds: [ID!]!) {
+  productVariantsBulkDelete(productId: $productId, variantsIds: $variantsIds) {
+    product {
+      id
+    }
+    userErrors {
+      code
+      field
+      message
+    }
+  }
+}
+`;
+
+const COLLECTION_ADD_MUTATION = `
+mutation collectionAddProducts($collectionId: ID!, $productIds: [ID!]!) {
+  collectionAddProducts(id: $collectionId, productIds: $productIds) {
+    collection {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const COLLECTION_CREATE_MUTATION = `
+mutation collectionCreate($input: CollectionInput!) {
+  collectionCreate(input: $input) {
+    collection {
+      id
+      title
+      handle
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const PUBLICATIONS_QUERY = `
+query publications($first: Int!) {
   publications(first: $first) {
     nodes {
       id
@@ -2461,6 +2657,60 @@ mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
 }
 `;
 
+const PUBLISHABLE_UNPUBLISH_MUTATION = `
+mutation publishableUnpublish($id: ID!, $input: [PublicationInput!]!) {
+  publishableUnpublish(id: $id, input: $input) {
+    publishable {
+      ... on Product {
+        id
+        status
+      }
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const COLLECTION_REMOVE_MUTATION = `
+mutation collectionRemoveProducts($collectionId: ID!, $productIds: [ID!]!) {
+  collectionRemoveProducts(id: $collectionId, productIds: $productIds) {
+    job {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const PRODUCT_LIFECYCLE_QUERY = `
+query productLifecycle($id: ID!) {
+  product(id: $id) {
+    id
+    status
+    collections(first: 100) {
+      nodes {
+        id
+        title
+      }
+    }
+    resourcePublications(first: 50, onlyPublished: true) {
+      nodes {
+        publication {
+          id
+          name
+        }
+      }
+    }
+  }
+}
+`;
+
 let cachedPublicationIds = null;
 let publicationPromise = null;
 
@@ -2474,15 +2724,283 @@ query productDetails($id: ID!) {
 }
 `;
 
-const PRODUCT_MEDIA_IDS_QUERY = `
-query productMedia($id: ID!) {
+const PRODUCT_BY_RECORD_ID_QUERY = `
+query productByAirtableRecordId($query: String!, $namespace: String!, $key: String!, $after: String) {
+  products(first: 50, after: $after, query: $query) {
+    nodes {
+      id
+      metafield(namespace: $namespace, key: $key) {
+        value
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+
+const RECORD_ID_DEFINITION_QUERY = `
+query airtableRecordIdDefinition($namespace: String!, $key: String!) {
+  metafieldDefinitions(first: 1, ownerType: PRODUCT, namespace: $namespace, key: $key) {
+    nodes {
+      id
+      capabilities {
+        adminFilterable {
+          enabled
+        }
+      }
+    }
+  }
+}
+`;
+
+const VARIANT_BY_SKU_QUERY = `
+query productVariantBySku($query: String!) {
+  productVariants(first: 5, query: $query) {
+    nodes {
+      id
+      sku
+      product {
+        id
+      }
+    }
+  }
+}
+`;
+
+const PRODUCT_SYNC_STATE_QUERY = `
+query productSyncState($id: ID!) {
   product(id: $id) {
     id
+    title
+    handle
+    onlineStoreUrl
+    descriptionHtml
+    status
+    vendor
+    productType
+    tags
+    options {
+      id
+      name
+      position
+    }
+    metafields(first: 250) {
+      nodes {
+        id
+        namespace
+        key
+        type
+        value
+      }
+    }
+    variants(first: 100) {
+      nodes {
+        id
+        title
+        sku
+        price
+        compareAtPrice
+        inventoryPolicy
+        inventoryItem {
+          id
+          tracked
+          unitCost {
+            amount
+          }
+        }
+        selectedOptions {
+          name
+          value
+        }
+      }
+    }
     media(first: 100) {
-      edges {
-        node { id }
+      nodes {
+        id
+        alt
+        mediaContentType
+      }
+    }
+    collections(first: 100) {
+      nodes {
+        id
+        title
+        handle
+        ruleSet {
+          appliedDisjunctively
+        }
+      }
+    }
+  }
+}
+`;
+
+const MANAGED_PRODUCTS_QUERY = `
+query managedProducts($first: Int!, $after: String, $query: String, $namespace: String!, $key: String!) {
+  products(first: $first, after: $after, query: $query) {
+    nodes {
+      id
+      title
+      status
+      tags
+      metafield(namespace: $namespace, key: $key) {
+        value
+      }
+      variants(first: 30) {
+        nodes {
+          id
+          sku
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+
+const PRODUCTS_BY_IDS_QUERY = `
+query productsByIds($ids: [ID!]!) {
+  nodes(ids: $ids) {
+    ... on Product {
+      id
+    }
+  }
+}
+`;
+
+const LOCATIONS_QUERY = `
+query locations($first: Int!) {
+  locations(first: $first) {
+    nodes {
+      id
+      name
+      isActive
+    }
+  }
+}
+`;
+
+// inventoryLevels is kept small so the query stays under Shopify's single-query cost limit.
+const PRODUCT_INVENTORY_ITEMS_QUERY = `
+query productInventoryItems($id: ID!) {
+  product(id: $id) {
+    variants(first: 50) {
+      nodes {
+        id
+        sku
+        inventoryItem {
+          id
+          tracked
+          inventoryLevels(first: 10) {
+            nodes {
+              location {
+                id
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+}
+`;
+
+const INVENTORY_SET_QUANTITIES_MUTATION = `
+mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+  inventorySetQuantities(input: $input) {
+    inventoryAdjustmentGroup {
+      id
+    }
+    userErrors {
+      code
+      field
+      message
+    }
+  }
+}
+`;
+
+const INVENTORY_ACTIVATE_MUTATION = `
+mutation inventoryActivate($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+  inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+    inventoryLevel {
+      id
+    }
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+const METAFIELD_DEFINITIONS_QUERY = `
+query metafieldDefinitions($after: String) {
+  metafieldDefinitions(first: 250, after: $after, ownerType: PRODUCT) {
+    nodes {
+      id
+      namespace
+      key
+      name
+      type {
+        name
+      }
+      access {
+        storefront
+      }
+      capabilities {
+        adminFilterable {
+          enabled
+        }
       }
     }
+    pageInfo {
+      hasNextPage
+      endCursor
+    }
+  }
+}
+`;
+
+const METAFIELD_DEFINITION_UPDATE_MUTATION = `
+mutation metafieldDefinitionUpdate($definition: MetafieldDefinitionUpdateInput!) {
+  metafieldDefinitionUpdate(definition: $definition) {
+    updatedDefinition {
+      id
+      namespace
+      key
+    }
+    userErrors {
+      field
+      message
+      code
+    }
+  }
+}
+`;
+
+const METAFIELD_DEFINITION_CREATE_MUTATION = `
+mutation metafieldDefinitionCreate($definition: MetafieldDefinitionInput!) {
+  metafieldDefinitionCreate(definition: $definition) {
+    createdDefinition {
+      id
+      namespace
+      key
+    }
+    userErrors {
+      field
+      message
+      code
+    }
   }
 }
 `;
@@ -2505,10 +3023,32 @@ mutation productCreateMedia($productId: ID!, $media: [CreateMediaInput!]!) {
 }
 `;
 
-const PRODUCT_DELETE_MUTATION = `
-mutation productDelete($input: ProductDeleteInput!) {
-  productDelete(input: $input) {
-    deletedProductId
+const PRODUCT_UPDATE_MEDIA_MUTATION = `
+mutation productUpdateMedia($productId: ID!, $media: [UpdateMediaInput!]!) {
+  productUpdateMedia(productId: $productId, media: $media) {
+    media { id }
+    mediaUserErrors { field message }
+  }
+}
+`;
+
+const PRODUCT_REORDER_MEDIA_MUTATION = `
+mutation productReorderMedia($id: ID!, $moves: [MoveInput!]!) {
+  productReorderMedia(id: $id, moves: $moves) {
+    job { id }
+    mediaUserErrors { field message }
+  }
+}
+`;
+
+const METAFIELDS_SET_MUTATION = `
+mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+  metafieldsSet(metafields: $metafields) {
+    metafields {
+      id
+      namespace
+      key
+    }
     userErrors {
       field
       message
@@ -2517,29 +3057,147 @@ mutation productDelete($input: ProductDeleteInput!) {
 }
 `;
 
-async function createProduct(product, optionNames, context = {}) {
-  const {
-    addonMetafieldResult,
-    optionalUpgradesMetafieldResult,
-    replacementsMetafieldResult,
-    documentationMetafieldResult,
-    occupantVariantsMetafieldResult,
-  } = context;
-  const input = buildProductInput(product, {
-    addonMetafieldResult,
-    optionalUpgradesMetafieldResult,
-    replacementsMetafieldResult,
-    documentationMetafieldResult,
-    occupantVariantsMetafieldResult,
-  });
-  if (!input.title) {
-    throw new Error('Product name is required to create a product.');
-  }
-
-  // Note: options field is not supported in ProductInput for productCreate
-  // Options are inferred from variants when they are created
+const PRODUCT_SET_MUTATION = `
+mutation productSet($input: ProductSetInput!, $synchronous: Boolean!) {
+  productSet(input: $input, synchronous: $synchronous) {
+    product {
+      id
+      title
+      handle
+      onlineStoreUrl
+      status
+      variants(first: 250) {
+        nodes {
+          id
+          sku
+        }
+      }
+      media(first: 100) {
+        nodes {
+          id
+        }
+      }
+    }
+    productSetOperation {
+      id
+      status
+    }
+    userErrors {
+      code
+      field
+      message
+    }
+  }
+}
+`;
+
+const PRODUCT_OPERATION_QUERY = `
+query productOperation($id: ID!) {
+  productOperation(id: $id) {
+    ... on ProductSetOperation {
+      id
+      status
+      product {
+        id
+        title
+        handle
+        onlineStoreUrl
+        status
+        variants(first: 250) {
+          nodes {
+            id
+            sku
+          }
+        }
+        media(first: 100) {
+          nodes {
+            id
+          }
+        }
+      }
+      userErrors {
+        code
+        field
+        message
+      }
+    }
+  }
+}
+`;
+
+const BULK_OPERATION_RUN_MUTATION = `
+mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+  bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+    bulkOperation {
+      id
+      status
+    }
+    userErrors {
+      code
+      field
+      message
+    }
+  }
+}
+`;
+
+const BULK_OPERATION_QUERY = `
+query bulkOperation($id: ID!) {
+  node(id: $id) {
+    ... on BulkOperation {
+      id
+      status
+      errorCode
+      objectCount
+      url
+      partialDataUrl
+    }
+  }
+}
+`;
+
+const PRODUCT_DELETE_MUTATION = `
+mutation productDelete($input: ProductDeleteInput!) {
+  productDelete(input: $input) {
+    deletedProductId
+    userErrors {
+      field
+      message
+    }
+  }
+}
+`;
+
+async function createProduct(product, optionNames, context = {}) {
+  const {
+    addonMetafieldResult,
+    optionalUpgradesMetafieldResult,
+    replacementsMetafieldResult,
+    documentationMetafieldResult,
+    occupantVariantsMetafieldResult,
+    productOptions,
+    status,
+  } = context;
+  const input = buildProductInput(product, {
+    addonMetafieldResult,
+    optionalUpgradesMetafieldResult,
+    replacementsMetafieldResult,
+    documentationMetafieldResult,
+    occupantVariantsMetafieldResult,
+    status,
+  });
+  if (!input.title) {
+    throw new Error('Product name is required to create a product.');
+  }
+
+  // Options are created explicitly; Shopify then creates one variant with the
+  // first value of each option, which the caller reconciles.
+  if (productOptions && productOptions.length) {
+    input.productOptions = productOptions;
+  }
 
-  const media = buildProductMediaArray(product);
+  const mediaEntries = buildProductMediaEntries(product);
+  const media = mediaEntries.map((entry) => entry.input);
   const variables = {
     input,
     media,
@@ -2562,12 +3220,30 @@ async function createProduct(product, optionNames, context = {}) {
   const productHandle = result?.product?.handle;
   const onlineStoreUrl = result?.product?.onlineStoreUrl;
 
+  // Remember which Airtable attachment each media item came from so later
+  // syncs can add, remove and reorder images instead of replacing them all.
+  const createdMedia = result?.product?.media?.nodes || [];
+  const sourceMap = {};
+  mediaEntries.forEach((entry, index) => {
+    if (entry.attachmentId && createdMedia[index]?.id) {
+      sourceMap[entry.attachmentId] = createdMedia[index].id;
+    }
+  });
+  if (Object.keys(sourceMap).length > 0) {
+    try {
+      await writeMediaSourceMap(productId, sourceMap);
+    } catch (error) {
+      console.warn('Failed to record media sources after create', { productId, error: error.message });
+    }
+  }
+
   return {
     productId,
     productTitle: result.product?.title || input.title,
     productStatus: input.status || 'ACTIVE',
     productHandle,
     onlineStoreUrl,
+    initialVariants: (result.product?.variants?.edges || []).map((edge) => edge.node),
   };
 }
 
@@ -2578,6 +3254,7 @@ async function updateProduct(productId, product, optionNames, context = {}) {
     replacementsMetafieldResult,
     documentationMetafieldResult,
     occupantVariantsMetafieldResult,
+    status,
   } = context;
   const input = buildProductInput(product, {
     addonMetafieldResult,
@@ -2585,6 +3262,7 @@ async function updateProduct(productId, product, optionNames, context = {}) {
     replacementsMetafieldResult,
     documentationMetafieldResult,
     occupantVariantsMetafieldResult,
+    status,
   });
 
   // Add the product ID to the input for updates
@@ -2593,165 +3271,630 @@ async function updateProduct(productId, product, optionNames, context = {}) {
   // Note: options field is not supported in ProductInput for productUpdate
   // Options are managed through variants
 
-  const variables = {
-    input,
-  };
+  const currentState = context.currentState || await fetchProductSyncState(productId);
+  if (!currentState) {
+    throw new Error(`Shopify product ${productId} was not found.`);
+  }
 
-  const response = await callShopify(PRODUCT_UPDATE_MUTATION, variables, 'productUpdate');
-  const result = response.data?.productUpdate;
-  const userErrors = result?.userErrors || [];
+  // Only send the fields and metafields that differ from the live product.
+  const diff = diffProductInput(input, currentState, context);
 
-  if (userErrors.length > 0) {
-    const message = userErrors.map((error) => error.message).join('; ');
-    throw new Error(`productUpdate userErrors: ${message}`);
-  }
+  let updatedProductId = productId;
+  let productTitle = currentState.title;
+  let productHandle = currentState.handle;
+  let onlineStoreUrl = currentState.onlineStoreUrl;
+
+  if (diff.hasChanges) {
+    const variables = {
+      input: diff.input,
+    };
+
+    const response = await callShopify(PRODUCT_UPDATE_MUTATION, variables, 'productUpdate');
+    const result = response.data?.productUpdate;
+    const userErrors = result?.userErrors || [];
+
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`productUpdate userErrors: ${message}`);
+    }
 
-  const updatedProductId = result?.product?.id;
-  if (!updatedProductId) {
-    throw new Error('productUpdate did not return a product id.');
+    updatedProductId = result?.product?.id;
+    if (!updatedProductId) {
+      throw new Error('productUpdate did not return a product id.');
+    }
+
+    productTitle = result.product?.title || input.title;
+    productHandle = result?.product?.handle;
+    onlineStoreUrl = result?.product?.onlineStoreUrl;
+  } else {
+    console.log('Skipping productUpdate: no field changes detected', { productId });
   }
 
-  const productHandle = result?.product?.handle;
-  const onlineStoreUrl = result?.product?.onlineStoreUrl;
+  const metafieldsRemoved = await deleteStaleMetafields(productId, diff.staleMetafields);
 
-  // Replace media after product core fields are updated
+  // Sync media after product core fields are updated
+  let media;
   try {
-    await replaceProductMedia(productId, product);
+    media = await syncProductMedia(productId, product, { currentState });
   } catch (mediaError) {
-    console.warn('Failed to replace product media during update', { productId, error: mediaError.message });
+    console.warn('Failed to sync product media during update', { productId, error: mediaError.message });
+    media = { synced: false, error: mediaError.message };
   }
 
   return {
     productId: updatedProductId,
-    productTitle: result.product?.title || input.title,
+    productTitle: productTitle || input.title,
     productStatus: input.status || 'ACTIVE',
     productHandle,
     onlineStoreUrl,
+    media,
+    ...(metafieldsRemoved ? { metafieldsRemoved } : {}),
+    diff: {
+      fields: diff.fields,
+      metafields: diff.metafields,
+    },
   };
 }
 
-async function createVariant(productId, product) {
-  const variantInput = buildVariantInput(product);
-  if (!variantInput) {
-    return { variantIds: [], variantErrors: [] };
+function toProductSetVariant(variant) {
+  const { inventoryItem, optionValues, ...rest } = variant;
+  const setVariant = { ...rest };
+  if (inventoryItem) {
+    setVariant.inventoryItem = inventoryItem;
   }
+  setVariant.optionValues = optionValues && optionValues.length
+    ? optionValues
+    : [{ optionName: 'Title', name: 'Default Title' }];
+  return setVariant;
+}
 
-  const variables = {
-    productId,
-    strategy: 'REMOVE_STANDALONE_VARIANT',
-    variants: [variantInput],
+function buildProductOptionsInput(variants) {
+  const options = new Map();
+  for (const variant of variants) {
+    for (const optionValue of variant.optionValues || []) {
+      if (!options.has(optionValue.optionName)) {
+        options.set(optionValue.optionName, []);
+      }
+      const values = options.get(optionValue.optionName);
+      if (!values.includes(optionValue.name)) {
+        values.push(optionValue.name);
+      }
+    }
+  }
+  return Array.from(options.entries()).map(([name, values]) => ({
+    name,
+    values: values.map((value) => ({ name: value })),
+  }));
+}
+
+/**
+ * Builds a declarative ProductSetInput covering product fields, options,
+ * variants, metafields and media. productSet removes variants and files that
+ * are not listed, so live variants missing from the payload are carried over
+ * unless pruneVariants is set, and media already in Shopify is referenced by
+ * id instead of being uploaded again.
+ */
+function buildProductSetInput(product, variants, references, options = {}) {
+  const { currentState, pruneVariants = false } = options;
+  const productInput = buildProductInput(product, references);
+  const input = {
+    title: productInput.title,
+    descriptionHtml: productInput.descriptionHtml,
+    status: productInput.status,
+    productType: productInput.productType,
+    vendor: productInput.vendor,
   };
+  if (productInput.tags) {
+    input.tags = productInput.tags;
+  }
+  if (productInput.metafields) {
+    input.metafields = productInput.metafields;
+  }
+  if (currentState?.id) {
+    input.id = currentState.id;
+  }
 
-  const response = await callShopify(
-    VARIANTS_BULK_MUTATION,
-    variables,
-    'productVariantsBulkCreate'
+  const currentVariants = currentState?.variants || [];
+  const currentBySku = new Map(
+    currentVariants.filter((variant) => getVariantSku(variant)).map((variant) => [getVariantSku(variant), variant])
   );
+  const matchedIds = new Set();
+  const setVariants = variants.filter(Boolean).map((variant) => {
+    const setVariant = toProductSetVariant(variant);
+    const existing = currentBySku.get(getVariantSku(variant));
+    if (existing) {
+      setVariant.id = existing.id;
+      matchedIds.add(existing.id);
+    }
+    return setVariant;
+  });
 
-  const payload = response.data?.productVariantsBulkCreate;
-  const userErrors = payload?.userErrors || [];
-  if (userErrors.length > 0) {
-    const message = userErrors.map((error) => error.message).join('; ');
-    throw new Error(`productVariantsBulkCreate userErrors: ${message}`);
+  if (!pruneVariants) {
+    for (const variant of currentVariants) {
+      if (matchedIds.has(variant.id) || isStandaloneDefaultVariant(variant)) {
+        continue;
+      }
+      setVariants.push({
+        id: variant.id,
+        optionValues: (variant.selectedOptions || []).map((option) => ({
+          optionName: option.name,
+          name: option.value,
+        })),
+      });
+    }
+  }
+
+  if (setVariants.length) {
+    input.productOptions = buildProductOptionsInput(setVariants);
+    input.variants = setVariants;
+  }
+
+  const mediaEntries = buildProductMediaEntries(product);
+  if (mediaEntries.length) {
+    const mediaPlan = currentState ? planMediaSync(mediaEntries, currentState) : null;
+    input.files = mediaEntries.map((entry) => {
+      const mediaId = mediaPlan?.keep.get(entry.attachmentId);
+      if (mediaId) {
+        return { id: mediaId, alt: entry.input.alt };
+      }
+      return {
+        originalSource: entry.input.originalSource,
+        alt: entry.input.alt,
+        contentType: 'IMAGE',
+      };
+    });
+    // `files` replaces the product's media, so media the sync does not track is listed to keep it.
+    const trackedIds = new Set(Object.values(mediaPlan?.sourceMap || {}));
+    for (const item of currentState?.media || []) {
+      if (item?.id && !trackedIds.has(item.id)) {
+        input.files.push({ id: item.id });
+      }
+    }
   }
 
-  const variantIds = (payload?.productVariants || []).map((variant) => variant.id);
   return {
-    variantIds,
-    variantErrors: [],
+    input,
+    mediaEntries,
+    staleMetafields: currentState ? findStaleMetafields(productInput, currentState, references) : [],
   };
 }
 
-async function findCollectionIdByName(name, cache) {
-  const trimmed = String(name || '').trim();
-  if (!trimmed) {
-    return null;
+async function waitForProductSetOperation(operationId, apiVersion) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < PRODUCT_SET_POLL_TIMEOUT_MS) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(PRODUCT_SET_POLL_INTERVAL_MS);
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      PRODUCT_OPERATION_QUERY,
+      { id: operationId },
+      'productOperation',
+      { apiVersion }
+    );
+    const operation = response.data?.productOperation;
+    if (operation?.status === 'COMPLETE') {
+      const userErrors = operation.userErrors || [];
+      if (userErrors.length > 0) {
+        const message = userErrors.map((error) => error.message).join('; ');
+        throw new Error(`productSet userErrors: ${message}`);
+      }
+      return operation.product;
+    }
   }
+  throw new Error(`productSet operation ${operationId} did not complete within ${PRODUCT_SET_POLL_TIMEOUT_MS}ms.`);
+}
 
-  if (cache.has(trimmed)) {
-    return cache.get(trimmed);
+/**
+ * Creates or updates a product, its options, variants, metafields and media
+ * in a single productSet call. Large products can be written asynchronously
+ * (`synchronous: false`), in which case the operation is polled until done.
+ */
+async function upsertProductWithProductSet(product, variants, references, options = {}) {
+  const {
+    currentState,
+    pruneVariants,
+    apiVersion = PRODUCT_SET_API_VERSION,
+  } = options;
+  const { input, mediaEntries, staleMetafields } = buildProductSetInput(product, variants, references, {
+    currentState,
+    pruneVariants,
+  });
+  if (!input.title) {
+    throw new Error('Product name is required to create a product.');
   }
 
-  const queryString = `title:'${trimmed.replace(/'/g, "\\'")}'`;
-  const response = await callShopify(
-    COLLECTION_SEARCH_QUERY,
-    { query: queryString },
-    'collectionSearch'
-  );
-
-  const node = response.data?.collections?.edges?.[0]?.node;
-  const collectionId = node?.id || null;
-  cache.set(trimmed, collectionId);
-  return collectionId;
-}
+  const synchronous = options.synchronous !== undefined
+    ? options.synchronous
+    : (input.variants || []).length < PRODUCT_SET_ASYNC_VARIANT_THRESHOLD;
 
-async function addProductToCollection(collectionId, productId) {
-  console.log(`Adding product ${productId} to collection ${collectionId}`);
   const response = await callShopify(
-    COLLECTION_ADD_MUTATION,
-    { collectionId, productIds: [productId] },
-    'collectionAddProducts'
+    PRODUCT_SET_MUTATION,
+    { input, synchronous },
+    'productSet',
+    { apiVersion }
   );
-
-  const payload = response.data?.collectionAddProducts;
+  const payload = response.data?.productSet;
   const userErrors = payload?.userErrors || [];
   if (userErrors.length > 0) {
     const message = userErrors.map((error) => error.message).join('; ');
-    throw new Error(`collectionAddProducts userErrors: ${message}`);
+    throw new Error(`productSet userErrors: ${message}`);
   }
 
-  return payload?.collection?.id || collectionId;
+  let productNode = payload?.product;
+  if (!synchronous) {
+    const operationId = payload?.productSetOperation?.id;
+    if (!operationId) {
+      throw new Error('productSet did not return an operation id.');
+    }
+    productNode = await waitForProductSetOperation(operationId, apiVersion);
+  }
+
+  return {
+    ...(await completeProductSet(productNode, input, mediaEntries, currentState, staleMetafields)),
+    synchronous,
+  };
 }
 
-async function attachCollections(productId, product, cache) {
-  const names = normaliseArray(product.Collection).map((value) => String(value).trim()).filter(Boolean);
-  const added = [];
-  const missing = [];
+/**
+ * Turns a productSet product node into the created/updated product summary,
+ * records which Airtable attachment each media item came from and removes
+ * stale managed metafields (productSet never deletes metafields itself).
+ */
+async function completeProductSet(productNode, input, mediaEntries, currentState, staleMetafields = []) {
+  const productId = productNode?.id;
+  if (!productId) {
+    throw new Error('productSet did not return a product id.');
+  }
 
-  for (const name of names) {
-    const collectionId = await findCollectionIdByName(name, cache);
-    if (!collectionId) {
-      missing.push(name);
-      continue;
+  // Files are attached in input order, so media ids line up with the entries.
+  const mediaNodes = productNode.media?.nodes || [];
+  const sourceMap = {};
+  mediaEntries.forEach((entry, index) => {
+    if (entry.attachmentId && mediaNodes[index]?.id) {
+      sourceMap[entry.attachmentId] = mediaNodes[index].id;
     }
-
+  });
+  if (Object.keys(sourceMap).length > 0
+    && JSON.stringify(sourceMap) !== JSON.stringify(readMediaSourceMap(currentState?.metafields))) {
     try {
-      await addProductToCollection(collectionId, productId);
-      added.push({ name, collectionId });
+      await writeMediaSourceMap(productId, sourceMap);
     } catch (error) {
-      missing.push(`${name} (error: ${error.message})`);
+      console.warn('Failed to record media sources after productSet', { productId, error: error.message });
     }
   }
 
-  return { added, missing };
+  const metafieldsRemoved = await deleteStaleMetafields(productId, staleMetafields);
+
+  return {
+    productId,
+    productTitle: productNode.title || input.title,
+    productStatus: input.status || 'ACTIVE',
+    productHandle: productNode.handle,
+    onlineStoreUrl: productNode.onlineStoreUrl,
+    variantIds: (productNode.variants?.nodes || []).map((variant) => variant.id),
+    ...(metafieldsRemoved ? { metafieldsRemoved } : {}),
+  };
 }
 
-async function getPublicationIds() {
-  if (cachedPublicationIds !== null) {
-    return cachedPublicationIds;
+async function waitForBulkOperation(operationId, apiVersion) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < BULK_OPERATION_POLL_TIMEOUT_MS) {
+    // eslint-disable-next-line no-await-in-loop
+    await sleep(BULK_OPERATION_POLL_INTERVAL_MS);
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      BULK_OPERATION_QUERY,
+      { id: operationId },
+      'bulkOperation',
+      { apiVersion }
+    );
+    const operation = response.data?.node;
+    if (['COMPLETED', 'FAILED', 'CANCELED', 'EXPIRED'].includes(operation?.status)) {
+      return operation;
+    }
   }
+  throw new Error(`Bulk operation ${operationId} did not finish within ${BULK_OPERATION_POLL_TIMEOUT_MS}ms.`);
+}
 
-  if (!publicationPromise) {
-    publicationPromise = callShopify(
-      PUBLICATIONS_QUERY,
-      { first: 50 },
-      'publications'
-    )
-      .then((response) => {
-        const nodes = response.data?.publications?.nodes || [];
-        const onlineStorePublication = nodes.find((node) => node?.name === 'Online Store');
-        const ids = onlineStorePublication?.id ? [onlineStorePublication.id] : [];
-        if (!ids.length) {
-          console.warn('No publication named "Online Store" found.');
-        }
-        cachedPublicationIds = ids;
-        publicationPromise = null;
-        return ids;
-      })
-      .catch((error) => {
-        publicationPromise = null;
-        throw error;
-      });
+async function downloadJsonl(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation results: ${response.status}`);
+  }
+  const text = await response.text();
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Runs productSet for many products as one bulk operation: the variables are
+ * written to a JSONL file, uploaded through a staged upload and executed by
+ * bulkOperationRunMutation. Returns the finished operation and its result
+ * lines keyed by the zero-based line number of the input file.
+ */
+async function runBulkProductSet(variableLines, options = {}) {
+  const { apiVersion = PRODUCT_SET_API_VERSION } = options;
+  const buffer = Buffer.from(variableLines.map((line) => JSON.stringify(line)).join('\n'));
+
+  const stagedTarget = await stagedUpload(buffer, {
+    filename: 'product_set_variables.jsonl',
+    mimeType: 'text/jsonl',
+    resource: 'BULK_MUTATION_VARIABLES',
+  });
+  const stagedUploadPath = stagedTarget.parameters.find((param) => param.name === 'key')?.value;
+  if (!stagedUploadPath) {
+    throw new Error('stagedUploadsCreate did not return a key for the bulk variables file.');
+  }
+
+  const response = await callShopify(
+    BULK_OPERATION_RUN_MUTATION,
+    { mutation: PRODUCT_SET_MUTATION, stagedUploadPath },
+    'bulkOperationRunMutation',
+    { apiVersion }
+  );
+  const payload = response.data?.bulkOperationRunMutation;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`bulkOperationRunMutation userErrors: ${message}`);
+  }
+  const operationId = payload?.bulkOperation?.id;
+  if (!operationId) {
+    throw new Error('bulkOperationRunMutation did not return an operation id.');
+  }
+
+  const operation = await waitForBulkOperation(operationId, apiVersion);
+  const resultUrl = operation.url || operation.partialDataUrl;
+  if (operation.status !== 'COMPLETED' && !resultUrl) {
+    throw new Error(
+      `Bulk operation ${operationId} ended with status ${operation.status}${operation.errorCode ? ` (${operation.errorCode})` : ''}.`
+    );
+  }
+
+  const lines = resultUrl ? await downloadJsonl(resultUrl) : [];
+  const resultsByLine = new Map();
+  lines.forEach((line) => {
+    if (Number.isInteger(line.__lineNumber)) {
+      resultsByLine.set(line.__lineNumber, line);
+    }
+  });
+
+  return { operation, resultsByLine };
+}
+
+async function createVariant(productId, product) {
+  const variantInput = buildVariantInput(product);
+  if (!variantInput) {
+    return { variantIds: [], variantErrors: [] };
+  }
+
+  const variables = {
+    productId,
+    strategy: 'REMOVE_STANDALONE_VARIANT',
+    variants: [variantInput],
+  };
+
+  const response = await callShopify(
+    VARIANTS_BULK_MUTATION,
+    variables,
+    'productVariantsBulkCreate'
+  );
+
+  const payload = response.data?.productVariantsBulkCreate;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`productVariantsBulkCreate userErrors: ${message}`);
+  }
+
+  const variantIds = (payload?.productVariants || []).map((variant) => variant.id);
+  return {
+    variantIds,
+    variantErrors: [],
+  };
+}
+
+// One index per instance, shared by every request it serves.
+const {
+  rememberCollection,
+  preloadCollections,
+  findCollectionIdByName,
+} = createCollectionIndex({ callShopify });
+
+async function addProductToCollection(collectionId, productId) {
+  console.log(`Adding product ${productId} to collection ${collectionId}`);
+  const response = await callShopify(
+    COLLECTION_ADD_MUTATION,
+    { collectionId, productIds: [productId] },
+    'collectionAddProducts'
+  );
+
+  const payload = response.data?.collectionAddProducts;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`collectionAddProducts userErrors: ${message}`);
+  }
+
+  return payload?.collection?.id || collectionId;
+}
+
+/**
+ * Normalises the optional `collections` payload array into collection inputs
+ * keyed by their lower-cased title. Each entry may carry `title` (or `name`),
+ * `handle`, `description` (markdown) or `descriptionHtml`, `image` (a URL, an
+ * object with `url`/`src` and `alt`, or Airtable attachments) and `seo`
+ * (`{ title, description }`) or `seoTitle`/`seoDescription`.
+ */
+function normaliseCollectionMetadata(entries) {
+  const metadata = {};
+  for (const entry of normaliseArray(entries)) {
+    const title = asSingleLineValue(entry?.title || entry?.name || entry?.Title || entry?.Name);
+    if (!title) {
+      continue;
+    }
+
+    const rawImage = Array.isArray(entry.image) ? entry.image[0] : entry.image;
+    const imageSrc = typeof rawImage === 'string' ? rawImage.trim() : (rawImage?.url || rawImage?.src);
+    const seoTitle = asSingleLineValue(entry.seo?.title || entry.seoTitle);
+    const seoDescription = asSingleLineValue(entry.seo?.description || entry.seoDescription);
+    const description = entry.descriptionHtml || markdownToDivHtml(entry.description);
+
+    metadata[title.toLowerCase()] = {
+      title,
+      ...(entry.handle ? { handle: slugifySegment(entry.handle) } : {}),
+      ...(description ? { descriptionHtml: description } : {}),
+      ...(imageSrc ? { image: { src: imageSrc, ...(rawImage?.alt || rawImage?.altText ? { altText: rawImage.alt || rawImage.altText } : {}) } } : {}),
+      ...(seoTitle || seoDescription ? { seo: { title: seoTitle, description: seoDescription } } : {}),
+    };
+  }
+  return metadata;
+}
+
+function buildCollectionInput(name, metadata = {}) {
+  return { title: name, ...(metadata[name.toLowerCase()] || {}) };
+}
+
+async function publishCollection(collectionId) {
+  const publicationIds = await getPublicationIds();
+  if (!publicationIds.length) {
+    console.warn('No publications available. Skipping collection publish step.');
+    return { published: false, publicationIds: [] };
+  }
+
+  const response = await callShopify(
+    PUBLISHABLE_PUBLISH_MUTATION,
+    { id: collectionId, input: publicationIds.map((publicationId) => ({ publicationId })) },
+    'publishablePublish'
+  );
+
+  const userErrors = response.data?.publishablePublish?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`publishablePublish userErrors: ${message}`);
+  }
+
+  return { published: true, publicationIds };
+}
+
+// Creates a custom collection and publishes it to the Online Store.
+async function createCollection(input) {
+  console.log(`Creating collection "${input.title}"`);
+  const response = await callShopify(COLLECTION_CREATE_MUTATION, { input }, 'collectionCreate');
+
+  const payload = response.data?.collectionCreate;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`collectionCreate userErrors: ${message}`);
+  }
+
+  const collection = payload?.collection;
+  if (!collection?.id) {
+    throw new Error(`collectionCreate returned no collection for "${input.title}".`);
+  }
+  rememberCollection(collection.id, collection.title || input.title, collection.handle);
+
+  let publish;
+  try {
+    publish = await publishCollection(collection.id);
+  } catch (error) {
+    console.warn('Failed to publish created collection', { collectionId: collection.id }, error);
+    publish = { published: false, error: error.message };
+  }
+
+  return { collectionId: collection.id, handle: collection.handle, publish };
+}
+
+/**
+ * Looks a collection up by name and, when `create` is set, creates it if it
+ * does not exist. Creations share the lookup cache, so groups syncing in
+ * parallel create each collection once.
+ */
+async function findOrCreateCollection(name, cache, options = {}) {
+  const collectionId = await findCollectionIdByName(name, cache);
+  if (collectionId || !options.create) {
+    return { collectionId };
+  }
+
+  const trimmed = String(name).trim();
+  const creationKey = `create:${trimmed.toLowerCase()}`;
+  const initiated = !cache.has(creationKey);
+  if (initiated) {
+    const creation = createCollection(buildCollectionInput(trimmed, options.metadata));
+    cache.set(creationKey, creation);
+    creation
+      .then((created) => cache.set(trimmed, Promise.resolve(created.collectionId)))
+      .catch(() => cache.delete(creationKey));
+  }
+  const created = await cache.get(creationKey);
+  // Only the call that created the collection reports it.
+  return { collectionId: created.collectionId, ...(initiated ? { created } : {}) };
+}
+
+async function attachCollections(productId, product, cache, options = {}) {
+  const names = normaliseArray(product.Collection).map((value) => String(value).trim()).filter(Boolean);
+  const added = [];
+  const missing = [];
+  const created = [];
+
+  for (const name of names) {
+    let collectionId;
+    try {
+      const found = await findOrCreateCollection(name, cache, options);
+      collectionId = found.collectionId;
+      if (found.created) {
+        created.push({ name, ...found.created });
+      }
+    } catch (error) {
+      missing.push(`${name} (error: ${error.message})`);
+      continue;
+    }
+    if (!collectionId) {
+      missing.push(name);
+      continue;
+    }
+
+    try {
+      await addProductToCollection(collectionId, productId);
+      added.push({ name, collectionId });
+    } catch (error) {
+      missing.push(`${name} (error: ${error.message})`);
+    }
+  }
+
+  return { added, missing, ...(created.length ? { created } : {}) };
+}
+
+async function getPublicationIds() {
+  if (cachedPublicationIds !== null) {
+    return cachedPublicationIds;
+  }
+
+  if (!publicationPromise) {
+    publicationPromise = callShopify(
+      PUBLICATIONS_QUERY,
+      { first: 50 },
+      'publications'
+    )
+      .then((response) => {
+        const nodes = response.data?.publications?.nodes || [];
+        const onlineStorePublication = nodes.find((node) => node?.name === 'Online Store');
+        const ids = onlineStorePublication?.id ? [onlineStorePublication.id] : [];
+        if (!ids.length) {
+          console.warn('No publication named "Online Store" found.');
+        }
+        cachedPublicationIds = ids;
+        publicationPromise = null;
+        return ids;
+      })
+      .catch((error) => {
+        publicationPromise = null;
+        throw error;
+      });
   }
 
   return publicationPromise;
@@ -2786,239 +3929,2658 @@ async function publishProduct(productId) {
   };
 }
 
-async function fetchProductDetails(productId) {
-  try {
-    const response = await callShopify(
-      PRODUCT_DETAILS_QUERY,
-      { id: productId },
-      'productDetails'
-    );
-    const product = response.data?.product;
-    return {
-      handle: product?.handle || null,
-      onlineStoreUrl: product?.onlineStoreUrl || null,
-    };
-  } catch (error) {
-    console.warn('Failed to fetch product details after publish.', {
-      productId,
-      error: error.message,
-    });
-    return {
-      handle: null,
-      onlineStoreUrl: null,
-    };
+async function unpublishProduct(productId, publications) {
+  if (!publications.length) {
+    return { unpublished: false, publicationIds: [] };
   }
-}
 
-async function deleteProduct(productId) {
   const response = await callShopify(
-    PRODUCT_DELETE_MUTATION,
-    { input: { id: productId } },
-    'productDelete'
+    PUBLISHABLE_UNPUBLISH_MUTATION,
+    { id: productId, input: publications.map((publication) => ({ publicationId: publication.id })) },
+    'publishableUnpublish'
   );
 
-  const payload = response.data?.productDelete;
+  const payload = response.data?.publishableUnpublish;
   const userErrors = payload?.userErrors || [];
   if (userErrors.length > 0) {
     const message = userErrors.map((error) => error.message).join('; ');
-    throw new Error(`productDelete userErrors: ${message}`);
+    throw new Error(`publishableUnpublish userErrors: ${message}`);
   }
 
   return {
-    deletedProductId: payload?.deletedProductId || productId,
+    unpublished: true,
+    publicationIds: publications.map((publication) => publication.id),
+    publications: publications.map((publication) => publication.name),
   };
 }
 
-async function shopifyProductSync(req, res) {
-  if (req.method !== 'POST') {
-    res.status(405).json({ error: 'Method Not Allowed. Use POST.' });
-    return;
-  }
+async function removeProductFromCollection(collectionId, productId) {
+  console.log(`Removing product ${productId} from collection ${collectionId}`);
+  const response = await callShopify(
+    COLLECTION_REMOVE_MUTATION,
+    { collectionId, productIds: [productId] },
+    'collectionRemoveProducts'
+  );
 
-  if (!Array.isArray(req.body)) {
-    res.status(400).json({ error: 'Request body must be an array of product objects.' });
-    return;
+  const payload = response.data?.collectionRemoveProducts;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`collectionRemoveProducts userErrors: ${message}`);
   }
 
-  const collectionCache = new Map();
-  const fileReferenceCache = new Map();
-  const results = [];
+  return collectionId;
+}
 
-  // 1) Optional grouping of incoming items. Currently disabled so each record is processed individually.
-  const groups = new Map();
-  if (GROUPING_ENABLED) {
-    for (const record of req.body) {
-      const key = getGroupKey(record);
-      if (!key) {
-        const fallbackKey = `${String(record['Product Name'] || 'unknown').trim().toLowerCase()}::${Math.random()}`;
-        groups.set(fallbackKey, [record]);
-        continue;
+/**
+ * Takes a product that is no longer for sale off every publication it is
+ * published to. Archived products are also removed from their collections;
+ * drafts keep them so they come back as they were when re-enabled.
+ */
+async function withdrawProduct(productId, status) {
+  const response = await callShopify(PRODUCT_LIFECYCLE_QUERY, { id: productId }, 'productLifecycle');
+  const product = response.data?.product;
+  if (!product) {
+    throw new Error(`Shopify product ${productId} was not found.`);
+  }
+
+  const publications = (product.resourcePublications?.nodes || [])
+    .map((node) => node.publication)
+    .filter((publication) => publication?.id);
+  const unpublish = await unpublishProduct(productId, publications);
+
+  const removed = [];
+  const failed = [];
+  if (status === 'ARCHIVED') {
+    for (const collection of product.collections?.nodes || []) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await removeProductFromCollection(collection.id, productId);
+        removed.push({ name: collection.title, collectionId: collection.id });
+      } catch (error) {
+        // Smart collections cannot be edited directly; their rules decide membership.
+        failed.push(`${collection.title} (error: ${error.message})`);
       }
-      if (!groups.has(key)) groups.set(key, []);
-      groups.get(key).push(record);
     }
-  } else {
-    req.body.forEach((record, index) => {
-      const baseKey =
-        record?.id ||
-        record?.ProductID ||
-        record?.SKU ||
-        record?.['Product Name'] ||
-        'record';
-      const uniqueKey = `${String(baseKey).trim().toLowerCase()}::${index}`;
-      groups.set(uniqueKey, [record]);
-    });
   }
 
-  // 2) Process each group
-  for (const [groupKey, group] of groups.entries()) {
-    // Base item supplies core product fields
-    const base = group[0];
-    const sourceIds = group.map(g => g?.id || g?.ProductID).filter(Boolean);
-    const context = { sourceId: sourceIds.join(',') || 'unknown', fileCache: fileReferenceCache };
-
-    try {
-      const existingProductId = base['Shopify Product Id'] || base['shopify_product_id'];
-
-      // Determine option name if we have multiple variants
-      const groupHasMultiple = group.length > 1;
-      const optionName =
-        group.find(r => r['Option 1 Name'])?.['Option 1 Name'] ||
-        (groupHasMultiple ? 'Size' : undefined);
-      const optionNames = optionName ? [optionName] : undefined;
-
-      const addonShopifyProductIds = extractAddonShopifyProductIds(base);
-      const addonMetafieldResult = buildAddonMetafield(addonShopifyProductIds);
-      const optionalUpgradeIds = extractOptionalUpgradeShopifyProductIds(base);
-      const optionalUpgradesMetafieldResult = buildOptionalUpgradesMetafield(optionalUpgradeIds);
-      const replacementIds = extractReplacementShopifyProductIds(base);
-      const replacementsMetafieldResult = buildReplacementMetafield(replacementIds);
-      const variantShopifyProductIds = extractVariantShopifyProductIds(base);
-      const occupantVariantsMetafieldResult = buildOccupantVariantsMetafield(variantShopifyProductIds);
-      const documentationMetafieldResult = await buildProductDocumentationMetafield(base, {
-        fileCache: context.fileCache,
-      });
+  return {
+    status,
+    unpublish,
+    collections: { removed, failed },
+  };
+}
 
-      // Check if we should update or create
-      const created = existingProductId
-        ? await updateProduct(existingProductId, base, optionNames, {
-          addonMetafieldResult,
-          optionalUpgradesMetafieldResult,
-          replacementsMetafieldResult,
-          documentationMetafieldResult,
-          occupantVariantsMetafieldResult,
-        })
-        : await createProduct(base, optionNames, {
-          addonMetafieldResult,
-          optionalUpgradesMetafieldResult,
-          replacementsMetafieldResult,
-          documentationMetafieldResult,
-          occupantVariantsMetafieldResult,
-        });
+async function setProductStatus(productId, status) {
+  const response = await callShopify(
+    PRODUCT_UPDATE_MUTATION,
+    { input: { id: productId, status } },
+    'productUpdate'
+  );
 
-      // Build all variants for this group
-      const variants = group.map((rec, idx) => {
-        const optionValue =
-          optionName
-            ? (rec['Option 1 Value'] || rec['Tank Size'] || rec.SKU || `Variant ${idx + 1}`)
-            : undefined;
-        return buildVariantInputFromRecord(rec, optionName, optionValue);
-      });
+  const payload = response.data?.productUpdate;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`productUpdate userErrors: ${message}`);
+  }
 
-      // Bulk create the group's variants (removes default standalone)
-      const variantResult = await createVariants(created.productId, variants);
+  return payload?.product;
+}
 
-      // Merge collections across the group and attach product to all of them
-      const mergedCollections = Array.from(
-        new Set(
-          group.flatMap((r) => normaliseArray(r.Collection))
-            .map((v) => String(v || '').trim())
-            .filter(Boolean)
-        )
+let locationsPromise = null;
+
+// Active locations keyed by lower-cased name, fetched once per instance.
+async function getLocationsByName() {
+  if (!locationsPromise) {
+    locationsPromise = callShopify(LOCATIONS_QUERY, { first: 50 }, 'locations')
+      .then((response) => new Map(
+        (response.data?.locations?.nodes || [])
+          .filter((location) => location?.isActive !== false)
+          .map((location) => [location.name.trim().toLowerCase(), location])
+      ))
+      .catch((error) => {
+        locationsPromise = null;
+        throw error;
+      });
+  }
+  return locationsPromise;
+}
+
+// Named locations must exist; the default is DEFAULT_INVENTORY_LOCATION or the shop's only location.
+function resolveInventoryLocation(locationsByName, locationName) {
+  if (locationName) {
+    return locationsByName.get(locationName.toLowerCase());
+  }
+  if (DEFAULT_INVENTORY_LOCATION) {
+    return locationsByName.get(DEFAULT_INVENTORY_LOCATION.toLowerCase());
+  }
+  return locationsByName.size === 1 ? Array.from(locationsByName.values())[0] : undefined;
+}
+
+async function fetchInventoryItems(productId) {
+  const response = await callShopify(PRODUCT_INVENTORY_ITEMS_QUERY, { id: productId }, 'productInventoryItems');
+  return (response.data?.product?.variants?.nodes || []).map((variant) => ({
+    variantId: variant.id,
+    sku: getVariantSku(variant) || null,
+    inventoryItemId: variant.inventoryItem?.id,
+    tracked: Boolean(variant.inventoryItem?.tracked),
+    locationIds: (variant.inventoryItem?.inventoryLevels?.nodes || []).map((level) => level.location?.id),
+  }));
+}
+
+/**
+ * Sets the available quantity of each record's variant at its locations.
+ * Records are matched to variants by SKU. Locations the item is not stocked at
+ * yet are activated with the quantity; unknown locations are reported.
+ */
+async function syncInventoryQuantities(productId, group) {
+  const wanted = group
+    .map((record) => ({ record, quantities: buildInventoryQuantities(record) }))
+    .filter((entry) => entry.quantities.length > 0);
+  if (!wanted.length) {
+    return null;
+  }
+
+  const [locationsByName, items] = await Promise.all([getLocationsByName(), fetchInventoryItems(productId)]);
+  const itemsBySku = new Map(items.filter((item) => item.sku).map((item) => [item.sku, item]));
+
+  const set = [];
+  const skipped = [];
+  const unknownLocations = new Set();
+  const changes = [];
+  const activations = [];
+  for (const { record, quantities } of wanted) {
+    const sku = asSingleLineValue(record.SKU) || null;
+    const item = (sku && itemsBySku.get(sku)) || (group.length === 1 && items.length === 1 ? items[0] : undefined);
+    if (!item?.inventoryItemId) {
+      skipped.push({ sku, reason: 'No variant found for this record.' });
+      continue;
+    }
+    if (!item.tracked) {
+      skipped.push({ sku, reason: 'Inventory is not tracked for this variant.' });
+      continue;
+    }
+    for (const { locationName, quantity } of quantities) {
+      const location = resolveInventoryLocation(locationsByName, locationName);
+      if (!location) {
+        unknownLocations.add(locationName || DEFAULT_INVENTORY_LOCATION || '(default location)');
+        continue;
+      }
+      const change = { inventoryItemId: item.inventoryItemId, locationId: location.id, quantity };
+      (item.locationIds.includes(location.id) ? changes : activations).push(change);
+      set.push({ sku: item.sku, location: location.name, quantity });
+    }
+  }
+
+  if (changes.length > 0) {
+    const response = await callShopify(
+      INVENTORY_SET_QUANTITIES_MUTATION,
+      {
+        input: {
+          name: 'available',
+          reason: 'correction',
+          ignoreCompareQuantity: true,
+          quantities: changes,
+        },
+      },
+      'inventorySetQuantities'
+    );
+    const userErrors = response.data?.inventorySetQuantities?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`inventorySetQuantities userErrors: ${message}`);
+    }
+  }
+
+  for (const activation of activations) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      INVENTORY_ACTIVATE_MUTATION,
+      {
+        inventoryItemId: activation.inventoryItemId,
+        locationId: activation.locationId,
+        available: activation.quantity,
+      },
+      'inventoryActivate'
+    );
+    const userErrors = response.data?.inventoryActivate?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`inventoryActivate userErrors: ${message}`);
+    }
+  }
+
+  return {
+    set,
+    unknownLocations: Array.from(unknownLocations),
+    skipped,
+  };
+}
+
+async function fetchProductDetails(productId) {
+  try {
+    const response = await callShopify(
+      PRODUCT_DETAILS_QUERY,
+      { id: productId },
+      'productDetails'
+    );
+    const product = response.data?.product;
+    return {
+      handle: product?.handle || null,
+      onlineStoreUrl: product?.onlineStoreUrl || null,
+    };
+  } catch (error) {
+    console.warn('Failed to fetch product details after publish.', {
+      productId,
+      error: error.message,
+    });
+    return {
+      handle: null,
+      onlineStoreUrl: null,
+    };
+  }
+}
+
+async function fetchProductSyncState(productId) {
+  const response = await callShopify(
+    PRODUCT_SYNC_STATE_QUERY,
+    { id: productId },
+    'productSyncState'
+  );
+
+  const product = response.data?.product;
+  if (!product) {
+    return null;
+  }
+
+  return {
+    id: product.id,
+    title: product.title,
+    handle: product.handle || null,
+    onlineStoreUrl: product.onlineStoreUrl || null,
+    descriptionHtml: product.descriptionHtml,
+    status: product.status,
+    vendor: product.vendor,
+    productType: product.productType,
+    tags: product.tags || [],
+    options: product.options || [],
+    metafields: product.metafields?.nodes || [],
+    variants: product.variants?.nodes || [],
+    media: product.media?.nodes || [],
+    collections: product.collections?.nodes || [],
+  };
+}
+
+function normaliseComparableValue(value, type) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value);
+  if (type && (type.startsWith('list.') || type === 'json')) {
+    try {
+      return JSON.stringify(JSON.parse(text));
+    } catch (error) {
+      return text.trim();
+    }
+  }
+  if (type === 'number_decimal' || type === 'number_integer' || type === 'money') {
+    const number = Number(text);
+    return Number.isNaN(number) ? text.trim() : String(number);
+  }
+  return text.trim();
+}
+
+function normaliseTagList(tags) {
+  return Array.from(new Set(normaliseArray(tags).map((tag) => String(tag).trim()).filter(Boolean))).sort();
+}
+
+const DIFFABLE_PRODUCT_FIELDS = ['title', 'descriptionHtml', 'status', 'vendor', 'productType'];
+
+let managedMetafieldIds;
+
+// Metafields the sync writes: the metafield mapping, reference metafields and the Airtable record id.
+function getManagedMetafieldIds() {
+  if (!managedMetafieldIds) {
+    managedMetafieldIds = new Set(
+      deriveMetafieldDefinitions().map((definition) => `${definition.namespace}.${definition.key}`)
+    );
+  }
+  return managedMetafieldIds;
+}
+
+/**
+ * Managed metafields on the live product that the record no longer produces,
+ * e.g. because an Airtable field was cleared. Other namespaces and keys are
+ * never touched. Documentation is kept while the record still lists files that
+ * are pending or failed to upload.
+ */
+function findStaleMetafields(input, currentState, references = {}) {
+  const managed = getManagedMetafieldIds();
+  const desired = new Set((input.metafields || []).map((field) => `${field.namespace}.${field.key}`));
+  const documentation = references.documentationMetafieldResult;
+  const retained = documentation && !documentation.metafield && documentation.entries?.length
+    ? `${PRODUCT_DOCUMENTATION_METAFIELD.namespace}.${PRODUCT_DOCUMENTATION_METAFIELD.key}`
+    : null;
+
+  return (currentState?.metafields || [])
+    .filter((field) => {
+      const id = `${field.namespace}.${field.key}`;
+      return managed.has(id) && !desired.has(id) && id !== retained;
+    })
+    .map((field) => ({ namespace: field.namespace, key: field.key, type: field.type, value: field.value }));
+}
+
+async function deleteStaleMetafields(productId, staleMetafields) {
+  if (!staleMetafields.length) {
+    return null;
+  }
+  try {
+    const response = await callShopify(
+      METAFIELDS_DELETE_MUTATION,
+      {
+        metafields: staleMetafields.map(({ namespace, key }) => ({ ownerId: productId, namespace, key })),
+      },
+      'metafieldsDelete'
+    );
+    const payload = response.data?.metafieldsDelete;
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`metafieldsDelete userErrors: ${message}`);
+    }
+    return {
+      removed: (payload?.deletedMetafields || []).filter(Boolean).map((field) => `${field.namespace}.${field.key}`),
+    };
+  } catch (error) {
+    console.warn('Failed to remove stale metafields', { productId, error: error.message });
+    return { removed: [], error: error.message };
+  }
+}
+
+/**
+ * Compares a ProductInput against the live product and returns a minimal
+ * update input containing only the changed fields and metafields.
+ */
+function diffProductInput(input, currentState, references) {
+  const fields = [];
+  const metafields = [];
+  const minimalInput = { id: input.id };
+
+  for (const field of DIFFABLE_PRODUCT_FIELDS) {
+    if (input[field] === undefined) {
+      continue;
+    }
+    const from = currentState[field] ?? null;
+    if (normaliseComparableValue(input[field]) !== normaliseComparableValue(from)) {
+      fields.push({ field, from, to: input[field] });
+      minimalInput[field] = input[field];
+    }
+  }
+
+  if (input.tags !== undefined) {
+    const desiredTags = normaliseTagList(input.tags);
+    const currentTags = normaliseTagList(currentState.tags);
+    if (JSON.stringify(desiredTags) !== JSON.stringify(currentTags)) {
+      fields.push({ field: 'tags', from: currentState.tags, to: input.tags });
+      minimalInput.tags = input.tags;
+    }
+  }
+
+  const currentMetafields = new Map(
+    (currentState.metafields || []).map((field) => [`${field.namespace}.${field.key}`, field])
+  );
+  const changedMetafields = [];
+
+  for (const metafield of input.metafields || []) {
+    const existing = currentMetafields.get(`${metafield.namespace}.${metafield.key}`);
+    const unchanged = existing
+      && existing.type === metafield.type
+      && normaliseComparableValue(existing.value, existing.type) === normaliseComparableValue(metafield.value, metafield.type);
+    if (unchanged) {
+      continue;
+    }
+    metafields.push({
+      namespace: metafield.namespace,
+      key: metafield.key,
+      type: metafield.type,
+      from: existing ? existing.value : null,
+      to: metafield.value,
+    });
+    changedMetafields.push(metafield);
+  }
+
+  if (changedMetafields.length) {
+    minimalInput.metafields = changedMetafields;
+  }
+
+  // Removals go through metafieldsDelete, so they do not count towards productUpdate changes.
+  const staleMetafields = findStaleMetafields(input, currentState, references);
+  for (const stale of staleMetafields) {
+    metafields.push({ namespace: stale.namespace, key: stale.key, type: stale.type, from: stale.value, to: null });
+  }
+
+  return {
+    fields,
+    metafields,
+    staleMetafields,
+    input: minimalInput,
+    hasChanges: fields.length > 0 || changedMetafields.length > 0,
+  };
+}
+
+const DIFFABLE_VARIANT_FIELDS = ['price', 'compareAtPrice', 'inventoryPolicy'];
+
+// Inventory item settings compared as `inventoryItem.<field>`; skipped when the live value is unknown.
+function diffInventoryItem(desired, existing) {
+  const changes = [];
+  const desiredTracked = desired.inventoryItem?.tracked;
+  const currentTracked = existing.inventoryItem?.tracked;
+  if (desiredTracked !== undefined && currentTracked !== undefined && desiredTracked !== currentTracked) {
+    changes.push({ field: 'inventoryItem.tracked', from: currentTracked, to: desiredTracked });
+  }
+  const desiredCost = desired.inventoryItem?.cost;
+  const currentCost = existing.inventoryItem?.unitCost?.amount;
+  if (
+    desiredCost !== undefined &&
+    existing.inventoryItem !== undefined &&
+    normaliseComparableValue(desiredCost, 'money') !== normaliseComparableValue(currentCost, 'money')
+  ) {
+    changes.push({ field: 'inventoryItem.cost', from: currentCost ?? null, to: desiredCost });
+  }
+  return changes;
+}
+
+// Variant diff keyed by SKU; variants without a SKU cannot be matched reliably.
+function diffVariants(desiredVariants, currentVariants) {
+  const currentBySku = new Map();
+  for (const variant of currentVariants || []) {
+    if (variant?.sku) {
+      currentBySku.set(String(variant.sku).trim(), variant);
+    }
+  }
+
+  const changed = [];
+  const added = [];
+  const seen = new Set();
+
+  for (const variant of desiredVariants.filter(Boolean)) {
+    const sku = variant.inventoryItem?.sku ? String(variant.inventoryItem.sku).trim() : undefined;
+    if (!sku) {
+      continue;
+    }
+    seen.add(sku);
+    const existing = currentBySku.get(sku);
+    if (!existing) {
+      added.push(sku);
+      continue;
+    }
+    for (const field of DIFFABLE_VARIANT_FIELDS) {
+      if (variant[field] === undefined) {
+        continue;
+      }
+      const type = field === 'inventoryPolicy' ? undefined : 'money';
+      if (normaliseComparableValue(variant[field], type) !== normaliseComparableValue(existing[field], type)) {
+        changed.push({ sku, field, from: existing[field] ?? null, to: variant[field] });
+      }
+    }
+    changed.push(...diffInventoryItem(variant, existing).map((change) => ({ sku, ...change })));
+  }
+
+  const removed = Array.from(currentBySku.keys()).filter((sku) => !seen.has(sku));
+
+  return { changed, added, removed };
+}
+
+function toSearchTerm(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Per instance; bootstrapMetafieldDefinitions clears it after changing definitions.
+let recordIdSearchCheck = null;
+
+/**
+ * Whether products can be searched by `custom.airtable_record_id`. Shopify
+ * only applies a metafield search filter when the definition is
+ * `adminFilterable`, and silently ignores it otherwise.
+ */
+async function isRecordIdSearchable() {
+  if (!recordIdSearchCheck) {
+    recordIdSearchCheck = callShopify(
+      RECORD_ID_DEFINITION_QUERY,
+      { namespace: AIRTABLE_RECORD_ID_METAFIELD.namespace, key: AIRTABLE_RECORD_ID_METAFIELD.key },
+      'airtableRecordIdDefinition',
+      { apiVersion: METAFIELD_DEFINITION_API_VERSION }
+    ).then((response) => {
+      const enabled = Boolean(response.data?.metafieldDefinitions?.nodes?.[0]?.capabilities?.adminFilterable?.enabled);
+      if (!enabled) {
+        console.warn('custom.airtable_record_id is not admin-filterable; record id lookups are disabled until POST /metafields/definitions enables it.');
+      }
+      return enabled;
+    }).catch((error) => {
+      recordIdSearchCheck = null;
+      throw error;
+    });
+  }
+  return recordIdSearchCheck;
+}
+
+// Every product carrying `recordId`; throws when the metafield cannot be searched.
+async function findProductIdsByRecordId(recordId) {
+  const { namespace, key } = AIRTABLE_RECORD_ID_METAFIELD;
+  if (!(await isRecordIdSearchable())) {
+    throw new Error(`Products cannot be searched by ${namespace}.${key}: its metafield definition is not admin-filterable. Run POST /metafields/definitions to enable it.`);
+  }
+
+  const productIds = [];
+  let after = null;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      PRODUCT_BY_RECORD_ID_QUERY,
+      { query: `metafields.${namespace}.${key}:${toSearchTerm(recordId)}`, namespace, key, after },
+      'productByAirtableRecordId'
+    );
+    const connection = response.data?.products;
+    // Search terms are tokenised, so compare the stored value exactly.
+    productIds.push(...(connection?.nodes || [])
+      .filter((node) => node?.metafield?.value === recordId)
+      .map((node) => node.id));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return productIds;
+}
+
+// The one product carrying `recordId`, or null; several matches are ambiguous and throw.
+async function findProductIdByRecordId(recordId) {
+  const productIds = await findProductIdsByRecordId(recordId);
+  if (productIds.length > 1) {
+    const { namespace, key } = AIRTABLE_RECORD_ID_METAFIELD;
+    throw new Error(`${productIds.length} products carry ${namespace}.${key} ${recordId} (${productIds.join(', ')}); set Shopify Product Id on the record or remove the duplicates.`);
+  }
+  return productIds[0] || null;
+}
+
+async function findProductIdBySku(sku) {
+  const response = await callShopify(
+    VARIANT_BY_SKU_QUERY,
+    { query: `sku:${toSearchTerm(sku)}` },
+    'productVariantBySku'
+  );
+
+  const nodes = response.data?.productVariants?.nodes || [];
+  const match = nodes.find((node) => String(node?.sku || '').trim() === sku);
+  return match?.product?.id || null;
+}
+
+/**
+ * Looks for a product that was already created for this group so that
+ * re-running a batch does not create duplicates. The Airtable record id
+ * metafield is checked first, when the store can search by it, then each
+ * variant SKU.
+ */
+async function findExistingProduct(group) {
+  const records = (await isRecordIdSearchable()) ? group : [];
+  for (const record of records) {
+    const recordId = getAirtableRecordId(record);
+    if (!recordId) {
+      continue;
+    }
+    const productId = await findProductIdByRecordId(recordId);
+    if (productId) {
+      return { productId, matchedBy: 'airtable_record_id', value: recordId };
+    }
+  }
+
+  for (const record of group) {
+    const sku = record?.SKU ? String(record.SKU).trim() : '';
+    if (!sku) {
+      continue;
+    }
+    const productId = await findProductIdBySku(sku);
+    if (productId) {
+      return { productId, matchedBy: 'sku', value: sku };
+    }
+  }
+
+  return { productId: null, matchedBy: null };
+}
+
+async function deleteProduct(productId) {
+  const response = await callShopify(
+    PRODUCT_DELETE_MUTATION,
+    { input: { id: productId } },
+    'productDelete'
+  );
+
+  const payload = response.data?.productDelete;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`productDelete userErrors: ${message}`);
+  }
+
+  return {
+    deletedProductId: payload?.deletedProductId || productId,
+  };
+}
+
+// Reads records and options from either the query string or an object body; the query wins.
+function createRequestReader(req) {
+  const body = req.body;
+  const query = req.query || {};
+  const bodyOptions = body && !Array.isArray(body) && typeof body === 'object' ? body : {};
+  const records = Array.isArray(body)
+    ? body
+    : (Array.isArray(bodyOptions.records) ? bodyOptions.records : bodyOptions.products);
+
+  const readFlag = (name) => {
+    if (query[name] !== undefined) {
+      return asBooleanFlag(query[name]);
+    }
+    return asBooleanFlag(bodyOptions[name]);
+  };
+  const readValue = (name) => {
+    const value = query[name] !== undefined ? query[name] : bodyOptions[name];
+    return value === undefined || value === null || value === '' ? undefined : String(value).trim();
+  };
+  const readOptionalFlag = (name) => (readValue(name) === undefined ? undefined : readFlag(name));
+
+  return { records, bodyOptions, readFlag, readValue, readOptionalFlag };
+}
+
+/**
+ * Accepts either the legacy array body or an object body of the form
+ * `{ records: [...], dryRun: true }`. Query string flags take precedence.
+ */
+function resolveSyncRequest(req) {
+  const { records, bodyOptions, readFlag, readValue, readOptionalFlag } = createRequestReader(req);
+
+  const writeMode = readValue('writeMode') || WRITE_MODE;
+  const apiVersion = readValue('apiVersion');
+  const concurrency = Number(readValue('concurrency')) || SYNC_CONCURRENCY;
+  const pricingPolicy = readValue('pricingPolicy');
+
+  return {
+    records,
+    options: {
+      dryRun: readFlag('dryRun'),
+      async: readFlag('async'),
+      pruneVariants: readFlag('pruneVariants'),
+      writeMode: ['productSet', 'bulk'].includes(writeMode) ? writeMode : 'legacy',
+      // undefined lets the variant count decide between synchronous and async productSet
+      productSetAsync: readOptionalFlag('productSetAsync'),
+      apiVersion: apiVersion && /^(\d{4}-\d{2}|unstable)$/.test(apiVersion) ? apiVersion : undefined,
+      concurrency: Math.max(1, Math.min(MAX_SYNC_CONCURRENCY, Math.floor(concurrency))),
+      grouping: readOptionalFlag('grouping') ?? GROUPING_ENABLED,
+      pricingPolicy: PRICING_POLICIES.includes(pricingPolicy) ? pricingPolicy : PRICING_POLICY,
+      createCollections: readOptionalFlag('createCollections') ?? CREATE_MISSING_COLLECTIONS,
+      pruneCollections: readOptionalFlag('pruneCollections') ?? PRUNE_COLLECTIONS,
+      // Title (lower-cased) -> collectionCreate input, from the optional `collections` array
+      collectionMetadata: normaliseCollectionMetadata(bodyOptions.collections),
+      validation: resolveValidationMode(readValue('validation')),
+      // Airtable record id -> group key, as approved from the grouping preview
+      groupOverrides: bodyOptions.groupOverrides && typeof bodyOptions.groupOverrides === 'object'
+        ? bodyOptions.groupOverrides
+        : undefined,
+    },
+  };
+}
+
+async function buildReferenceMetafieldResults(base, options = {}) {
+  const { fileCache, dryRun } = options;
+
+  const addonShopifyProductIds = extractAddonShopifyProductIds(base);
+  const optionalUpgradeIds = extractOptionalUpgradeShopifyProductIds(base);
+  const replacementIds = extractReplacementShopifyProductIds(base);
+  const variantShopifyProductIds = extractVariantShopifyProductIds(base);
+
+  return {
+    addonShopifyProductIds,
+    optionalUpgradeIds,
+    replacementIds,
+    variantShopifyProductIds,
+    addonMetafieldResult: buildAddonMetafield(addonShopifyProductIds),
+    optionalUpgradesMetafieldResult: buildOptionalUpgradesMetafield(optionalUpgradeIds),
+    replacementsMetafieldResult: buildReplacementMetafield(replacementIds),
+    occupantVariantsMetafieldResult: buildOccupantVariantsMetafield(variantShopifyProductIds),
+    documentationMetafieldResult: await buildProductDocumentationMetafield(base, {
+      fileCache,
+      dryRun,
+    }),
+  };
+}
+
+function summariseReferenceResults(references) {
+  const {
+    addonShopifyProductIds,
+    optionalUpgradeIds,
+    replacementIds,
+    variantShopifyProductIds,
+    addonMetafieldResult,
+    optionalUpgradesMetafieldResult,
+    replacementsMetafieldResult,
+    occupantVariantsMetafieldResult,
+    documentationMetafieldResult,
+  } = references;
+
+  return {
+    addons: {
+      input: addonShopifyProductIds,
+      valid: addonMetafieldResult.validReferenceIds,
+      invalid: addonMetafieldResult.invalidReferenceIds,
+    },
+    optionalUpgrades: {
+      input: optionalUpgradeIds,
+      valid: optionalUpgradesMetafieldResult.validReferenceIds,
+    },
+    replacements: {
+      input: replacementIds,
+      valid: replacementsMetafieldResult.validReferenceIds,
+    },
+    occupantVariants: {
+      input: variantShopifyProductIds,
+      valid: occupantVariantsMetafieldResult.validReferenceIds,
+      invalid: occupantVariantsMetafieldResult.invalidReferenceIds,
+    },
+    documentation: {
+      fileIds: documentationMetafieldResult.fileIds,
+      errors: documentationMetafieldResult.errors,
+      skipped: documentationMetafieldResult.skipped,
+      planned: documentationMetafieldResult.planned,
+    },
+  };
+}
+
+function buildGroupVariants(group, groupOptions = []) {
+  const optionNames = groupOptions.map((option) => option.name);
+  return group.map((rec, idx) => {
+    const optionValues = groupOptions.map(({ position }) => resolveOptionValue(rec, idx, position));
+    return buildVariantInputFromRecord(rec, optionNames, optionValues);
+  });
+}
+
+function mergeGroupCollections(group) {
+  return Array.from(
+    new Set(
+      group.flatMap((r) => normaliseArray(r.Collection))
+        .map((v) => String(v || '').trim())
+        .filter(Boolean)
+    )
+  );
+}
+
+// Pruning needs a `Collection` field to compare against; a group whose records omit it says nothing about membership.
+function groupListsCollections(group) {
+  return group.some((record) => Object.prototype.hasOwnProperty.call(record, 'Collection'));
+}
+
+// Read-only counterpart of attachCollections used by dry runs; collections it would create are listed under `create`.
+async function resolveCollections(names, cache, options = {}) {
+  const resolved = [];
+  const missing = [];
+  const create = [];
+
+  for (const name of names) {
+    try {
+      const collectionId = await findCollectionIdByName(name, cache);
+      if (collectionId) {
+        resolved.push({ name, collectionId });
+      } else if (options.create) {
+        create.push(buildCollectionInput(name, options.metadata));
+      } else {
+        missing.push(name);
+      }
+    } catch (error) {
+      missing.push(`${name} (error: ${error.message})`);
+    }
+  }
+
+  return { resolved, missing, ...(create.length ? { create } : {}) };
+}
+
+function getCollectionOptions(options = {}) {
+  return {
+    create: Boolean(options.createCollections),
+    metadata: options.collectionMetadata,
+    prune: Boolean(options.pruneCollections),
+  };
+}
+
+/**
+ * Splits the collections a product is in but its records no longer list into
+ * `remove` and `kept`. Smart collections are kept because their rules decide
+ * membership, as are collections protected by PROTECTED_COLLECTIONS or left
+ * out of a non-empty PRUNABLE_COLLECTIONS.
+ */
+function planCollectionRemovals(currentCollections, names, keepIds = []) {
+  const wanted = new Set(names.flatMap((name) => [String(name).trim().toLowerCase(), slugifySegment(name)]));
+  const keep = new Set(keepIds);
+  const remove = [];
+  const kept = [];
+
+  for (const collection of currentCollections || []) {
+    const title = String(collection.title || '').trim().toLowerCase();
+    const handle = String(collection.handle || '').toLowerCase();
+    if (keep.has(collection.id) || wanted.has(title) || wanted.has(handle)) {
+      continue;
+    }
+
+    const entry = { name: collection.title, collectionId: collection.id };
+    const listed = (list) => list.includes(title) || list.includes(handle);
+    if (collection.ruleSet) {
+      kept.push({ ...entry, reason: 'smart collection' });
+    } else if (listed(PROTECTED_COLLECTIONS)) {
+      kept.push({ ...entry, reason: 'protected' });
+    } else if (PRUNABLE_COLLECTIONS.length && !listed(PRUNABLE_COLLECTIONS)) {
+      kept.push({ ...entry, reason: 'not in PRUNABLE_COLLECTIONS' });
+    } else {
+      remove.push(entry);
+    }
+  }
+
+  return { remove, kept };
+}
+
+async function removeStaleCollections(productId, plan) {
+  const removed = [];
+  const failed = [];
+  for (const collection of plan.remove) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      await removeProductFromCollection(collection.collectionId, productId);
+      removed.push(collection);
+    } catch (error) {
+      failed.push(`${collection.name} (error: ${error.message})`);
+    }
+  }
+  return {
+    ...(removed.length ? { removed } : {}),
+    ...(failed.length ? { removeFailed: failed } : {}),
+    ...(plan.kept.length ? { kept: plan.kept } : {}),
+  };
+}
+
+/**
+ * Runs the full payload pipeline for a group without sending any mutation and
+ * returns the exact payloads that a live sync would send.
+ */
+async function planGroup(group, references, options = {}) {
+  const { existingProductId, groupOptions, collectionCache, pruneVariants, writeMode, pricingPolicy, collectionOptions } = options;
+  const base = group[0];
+
+  let currentState = null;
+  let stateError;
+  if (existingProductId) {
+    try {
+      currentState = await fetchProductSyncState(existingProductId);
+    } catch (error) {
+      stateError = error.message;
+    }
+  }
+  const pricing = assessGroupPricing(group, currentState, pricingPolicy || PRICING_POLICY);
+  const productReferences = pricing.status ? { ...references, status: pricing.status } : references;
+
+  const productInput = buildProductInput(base, productReferences);
+  if (existingProductId) {
+    productInput.id = existingProductId;
+  }
+
+  const variants = buildGroupVariants(group, groupOptions).filter(Boolean);
+  const collectionNames = mergeGroupCollections(group);
+  const collections = await resolveCollections(collectionNames, collectionCache, collectionOptions);
+  if (currentState && collectionOptions?.prune && groupListsCollections(group) && productInput.status !== 'ARCHIVED') {
+    const removals = planCollectionRemovals(
+      currentState.collections,
+      collectionNames,
+      collections.resolved.map((collection) => collection.collectionId)
+    );
+    if (removals.remove.length) collections.remove = removals.remove;
+    if (removals.kept.length) collections.kept = removals.kept;
+  }
+  const media = buildProductMediaArray(base);
+
+  let diff;
+  let variantPlan;
+  if (stateError) {
+    diff = { error: stateError };
+  } else if (existingProductId) {
+    try {
+      if (currentState) {
+        const reconciliation = planVariantReconciliation(variants, currentState.variants, { pruneVariants });
+        variantPlan = {
+          update: reconciliation.update,
+          create: reconciliation.create,
+          delete: reconciliation.remove.map((variant) => variant.id),
+          orphaned: reconciliation.orphaned,
+          strategy: reconciliation.strategy,
+        };
+        const productDiff = diffProductInput(productInput, currentState, productReferences);
+        diff = {
+          fields: productDiff.fields,
+          metafields: productDiff.metafields,
+          variants: diffVariants(variants, currentState.variants),
+          media: summariseMediaPlan(buildProductMediaEntries(base), currentState),
+        };
+      } else {
+        diff = { error: `Shopify product ${existingProductId} was not found.` };
+      }
+    } catch (error) {
+      diff = { error: error.message };
+    }
+  }
+
+  return {
+    operation: existingProductId ? 'update' : 'create',
+    existingProductId: existingProductId || null,
+    productInput,
+    metafields: productInput.metafields || [],
+    media,
+    variants,
+    ...(variantPlan ? { variantPlan } : { variantStrategy: 'REMOVE_STANDALONE_VARIANT' }),
+    ...(writeMode === 'productSet' || writeMode === 'bulk'
+      ? { productSetInput: buildProductSetInput(base, variants, productReferences, { currentState, pruneVariants }).input }
+      : {}),
+    collections,
+    ...(diff ? { diff } : {}),
+    inventory: group
+      .map((record) => ({
+        sku: asSingleLineValue(record.SKU) || null,
+        quantities: buildInventoryQuantities(record).map(({ locationName, quantity }) => ({
+          location: locationName || DEFAULT_INVENTORY_LOCATION || null,
+          quantity,
+        })),
+      }))
+      .filter((entry) => entry.quantities.length > 0),
+    publish: productInput.status === 'DRAFT' || productInput.status === 'ARCHIVED'
+      ? { publish: false, unpublish: true, reason: `Product would be saved with ${productInput.status} status.` }
+      : { publish: true },
+    pricing,
+  };
+}
+
+// Runs `worker` over `items` with at most `limit` in flight; results keep the input order.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function runNext() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, () => runNext());
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Resolves everything a group needs before writing: the product to update (if
+ * any), option naming, the group's variants and the reference metafields.
+ */
+async function prepareGroup(group, options, fileCache) {
+  // Base item supplies core product fields
+  const base = group[0];
+
+  let existingProductId = base['Shopify Product Id'] || base['shopify_product_id'];
+  let lookup = { matchedBy: existingProductId ? 'shopify_product_id' : null };
+  if (!existingProductId) {
+    lookup = await findExistingProduct(group);
+    existingProductId = lookup.productId || undefined;
+  }
+
+  // Determine up to three options; multi-record groups always get at least one
+  const groupOptions = resolveGroupOptions(group);
+  const optionIssues = validateGroupOptions(group, groupOptions);
+  if (optionIssues.length > 0) {
+    throw new Error(`Invalid product options: ${optionIssues.join(' ')}`);
+  }
+  const optionNames = groupOptions.length ? groupOptions.map((option) => option.name) : undefined;
+
+  const references = await buildReferenceMetafieldResults(base, {
+    fileCache,
+    dryRun: options.dryRun,
+  });
+
+  return {
+    base,
+    existingProductId,
+    lookup,
+    groupOptions,
+    optionNames,
+    references,
+    variants: buildGroupVariants(group, groupOptions),
+  };
+}
+
+/**
+ * Post-write steps shared by every write mode: collections, publishing and
+ * resolving the storefront URL.
+ */
+async function finaliseGroup(group, created, collectionCache, options = {}, currentState = null) {
+  const base = group[0];
+
+  // Merge collections across the group and attach product to all of them.
+  // Archived products are taken out of their collections instead.
+  const mergedCollections = mergeGroupCollections(group);
+
+  const collectionOptions = getCollectionOptions(options);
+  let collections = created.productStatus === 'ARCHIVED'
+    ? { added: [], missing: [] }
+    : await attachCollections(
+      created.productId,
+      { Collection: mergedCollections },
+      collectionCache,
+      collectionOptions
+    );
+
+  // On update, drop the product from collections its records no longer list.
+  if (currentState && collectionOptions.prune && groupListsCollections(group) && created.productStatus !== 'ARCHIVED') {
+    const removals = planCollectionRemovals(
+      currentState.collections,
+      mergedCollections,
+      collections.added.map((collection) => collection.collectionId)
+    );
+    collections = { ...collections, ...(await removeStaleCollections(created.productId, removals)) };
+  }
+
+  let publishResult;
+  let lifecycle;
+  if (created.productStatus === 'DRAFT' || created.productStatus === 'ARCHIVED') {
+    lifecycle = await withdrawProduct(created.productId, created.productStatus);
+    publishResult = {
+      published: false,
+      skipped: true,
+      reason: `Product saved with ${created.productStatus} status.`,
+      unpublishedFrom: lifecycle.unpublish.publications || [],
+    };
+  } else {
+    publishResult = await publishProduct(created.productId);
+  }
+
+  let inventory;
+  try {
+    inventory = await syncInventoryQuantities(created.productId, group);
+  } catch (error) {
+    console.warn('Failed to sync inventory quantities', { productId: created.productId, error: error.message });
+    inventory = { error: error.message };
+  }
+
+  const productDetails = await fetchProductDetails(created.productId);
+
+  const numericProductId = created.productId.replace('gid://shopify/Product/', '');
+
+  const productUrl = resolveProductUrl({
+    handle: productDetails.handle || created.productHandle,
+    onlineStoreUrl: productDetails.onlineStoreUrl || created.onlineStoreUrl,
+    fallbackHandle: resolveProductHandle(base),
+    collectionSlug: resolvePrimaryCollectionSlug(base),
+    numericProductId,
+  });
+
+  return {
+    productId: created.productId,
+    productIdNumeric: numericProductId,
+    productUrl: productUrl,
+    productTitle: created.productTitle,
+    productStatus: created.productStatus,
+    collections,
+    publish: publishResult,
+    ...(lifecycle ? { lifecycle } : {}),
+    ...(inventory ? { inventory } : {}),
+  };
+}
+
+function buildGroupDiff(base, variants, currentState, productDiff) {
+  if (!currentState) {
+    return undefined;
+  }
+  return {
+    ...productDiff,
+    variants: diffVariants(variants, currentState.variants),
+    media: summariseMediaPlan(buildProductMediaEntries(base), currentState),
+  };
+}
+
+// Discontinued records only archive products that already exist; they never create one.
+function skipUnknownDiscontinued(prepared, context) {
+  if (prepared.existingProductId || resolveProductStatus(prepared.base) !== 'ARCHIVED') {
+    return null;
+  }
+  return {
+    ...context,
+    status: 'skipped',
+    reason: 'Discontinued record has no Shopify product to archive.',
+    lookup: prepared.lookup,
+  };
+}
+
+// Spread into every result, so it must stay serialisable: job stores clone results.
+function buildGroupContext(group) {
+  const sourceIds = group.map(g => g?.id || g?.ProductID).filter(Boolean);
+  return { sourceId: sourceIds.join(',') || 'unknown' };
+}
+
+/**
+ * Syncs one group of records (a single Shopify product) and returns its
+ * per-record result. Errors are captured in the result rather than thrown.
+ */
+async function processGroup(groupKey, group, shared) {
+  const { options, collectionCache, fileReferenceCache } = shared;
+  const context = buildGroupContext(group);
+
+  try {
+    const {
+      base,
+      existingProductId,
+      lookup,
+      groupOptions,
+      optionNames,
+      references,
+      variants,
+    } = await prepareGroup(group, options, fileReferenceCache);
+    const {
+      addonMetafieldResult,
+      optionalUpgradesMetafieldResult,
+      replacementsMetafieldResult,
+      documentationMetafieldResult,
+      occupantVariantsMetafieldResult,
+    } = references;
+
+    const skipped = skipUnknownDiscontinued({ base, existingProductId, lookup }, context);
+    if (skipped) {
+      return skipped;
+    }
+
+    if (options.dryRun) {
+      const plan = await planGroup(group, references, {
+        existingProductId,
+        groupOptions,
+        collectionCache,
+        pruneVariants: options.pruneVariants,
+        writeMode: options.writeMode,
+        pricingPolicy: options.pricingPolicy,
+        collectionOptions: getCollectionOptions(options),
+      });
+      return {
+        sourceId: context.sourceId,
+        status: plan.pricing.action === 'blocked' ? 'blocked' : 'planned',
+        operation: plan.operation,
+        lookup,
+        plan,
+        ...(plan.pricing.findings.length ? { pricing: plan.pricing } : {}),
+        ...summariseReferenceResults(references),
+      };
+    }
+
+    const currentState = existingProductId
+      ? await fetchProductSyncState(existingProductId)
+      : null;
+    if (existingProductId && !currentState) {
+      throw new Error(`Shopify product ${existingProductId} was not found.`);
+    }
+
+    const pricing = assessGroupPricing(group, currentState, options.pricingPolicy || PRICING_POLICY);
+    if (pricing.action === 'blocked') {
+      return buildPricingBlockedResult(pricing, context);
+    }
+    const productReferences = pricing.status ? { ...references, status: pricing.status } : references;
+
+    let created;
+    let variantResult;
+    if (options.writeMode === 'productSet') {
+      // Single declarative call for fields, options, variants, metafields and media
+      created = await upsertProductWithProductSet(base, variants, productReferences, {
+        currentState,
+        pruneVariants: options.pruneVariants,
+        synchronous: options.productSetAsync === undefined ? undefined : !options.productSetAsync,
+        apiVersion: options.apiVersion,
+      });
+      if (currentState) {
+        const productDiff = diffProductInput(buildProductInput(base, productReferences), currentState, productReferences);
+        created.diff = { fields: productDiff.fields, metafields: productDiff.metafields };
+      }
+      variantResult = { variantIds: created.variantIds };
+    } else {
+      // Check if we should update or create
+      created = existingProductId
+        ? await updateProduct(existingProductId, base, optionNames, {
+          addonMetafieldResult,
+          optionalUpgradesMetafieldResult,
+          replacementsMetafieldResult,
+          documentationMetafieldResult,
+          occupantVariantsMetafieldResult,
+          currentState,
+          status: pricing.status,
+        })
+        : await createProduct(base, optionNames, {
+          addonMetafieldResult,
+          optionalUpgradesMetafieldResult,
+          replacementsMetafieldResult,
+          documentationMetafieldResult,
+          occupantVariantsMetafieldResult,
+          productOptions: optionNames ? buildProductOptionsInput(variants.filter(Boolean)) : undefined,
+          status: pricing.status,
+        });
+
+      // Existing products reconcile variants by SKU after any new options are
+      // created. New products with options adopt the variant productCreate made
+      // for the first option values, and delete it when no record has that
+      // combination; without options the group's variants are bulk created
+      // (removes default standalone)
+      if (currentState) {
+        const createdOptions = await ensureProductOptions(created.productId, variants, currentState.options);
+        variantResult = await reconcileVariants(created.productId, variants, currentState.variants, {
+          pruneVariants: options.pruneVariants,
+        });
+        if (createdOptions.length) {
+          variantResult.reconciliation.optionsCreated = createdOptions;
+        }
+      } else if (optionNames) {
+        variantResult = await reconcileVariants(created.productId, variants, created.initialVariants, {
+          pruneVariants: true,
+        });
+      } else {
+        variantResult = await createVariants(created.productId, variants);
+      }
+    }
+
+    const diff = buildGroupDiff(base, variants, currentState, created.diff);
+
+    const finalised = await finaliseGroup(group, created, collectionCache, options, currentState);
+
+    return {
+      ...context,
+      ...finalised,
+      variantIds: variantResult.variantIds,
+      ...(variantResult.reconciliation ? { variants: variantResult.reconciliation } : {}),
+      ...summariseReferenceResults(references),
+      ...(created.media ? { media: created.media } : {}),
+      ...(created.metafieldsRemoved ? { metafieldsRemoved: created.metafieldsRemoved } : {}),
+      ...(diff ? { diff } : {}),
+      ...(pricing.findings.length ? { pricing } : {}),
+      status: 'success',
+      operation: existingProductId ? 'updated' : 'created',
+      writeMode: options.writeMode,
+      lookup,
+    };
+  } catch (error) {
+    console.error('Failed to process group', { groupKey, context }, error);
+    return {
+      ...context,
+      status: 'failed',
+      error: error.message,
+    };
+  }
+}
+
+/**
+ * Prepares one group's productSet variables for a bulk import. Returns a
+ * finished `result` instead when the group is skipped or cannot be prepared.
+ */
+async function prepareBulkGroup(groupKey, group, shared) {
+  const { options, fileReferenceCache } = shared;
+  const context = buildGroupContext(group);
+
+  try {
+    const prepared = await prepareGroup(group, options, fileReferenceCache);
+    const skipped = skipUnknownDiscontinued(prepared, context);
+    if (skipped) {
+      return { groupKey, result: skipped };
+    }
+    const currentState = prepared.existingProductId
+      ? await fetchProductSyncState(prepared.existingProductId)
+      : null;
+    if (prepared.existingProductId && !currentState) {
+      throw new Error(`Shopify product ${prepared.existingProductId} was not found.`);
+    }
+
+    const pricing = assessGroupPricing(group, currentState, options.pricingPolicy || PRICING_POLICY);
+    if (pricing.action === 'blocked') {
+      return { groupKey, result: buildPricingBlockedResult(pricing, context) };
+    }
+    const productReferences = pricing.status ? { ...prepared.references, status: pricing.status } : prepared.references;
+
+    const { input, mediaEntries, staleMetafields } = buildProductSetInput(prepared.base, prepared.variants, productReferences, {
+      currentState,
+      pruneVariants: options.pruneVariants,
+    });
+    if (!input.title) {
+      throw new Error('Product name is required to create a product.');
+    }
+
+    return { groupKey, group, context, prepared, currentState, pricing, input, mediaEntries, staleMetafields };
+  } catch (error) {
+    console.error('Failed to prepare group for bulk import', { groupKey, context }, error);
+    return {
+      groupKey,
+      result: {
+        ...context,
+        status: 'failed',
+        error: error.message,
+      },
+    };
+  }
+}
+
+/**
+ * Maps one bulk result line back to its group and runs the usual post-write
+ * steps, returning the same per-record result as processGroup.
+ */
+async function finaliseBulkGroup(entry, line, bulkOperationId, shared) {
+  const { options, collectionCache } = shared;
+  const { groupKey, group, context, prepared, currentState, pricing, input, mediaEntries, staleMetafields } = entry;
+
+  try {
+    if (!line) {
+      throw new Error(`Bulk operation ${bulkOperationId} returned no result for this record.`);
+    }
+    if (Array.isArray(line.errors) && line.errors.length > 0) {
+      throw new Error(`productSet errors: ${line.errors.map((error) => error.message).join('; ')}`);
+    }
+    const payload = line.data?.productSet;
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length > 0) {
+      const message = userErrors.map((error) => error.message).join('; ');
+      throw new Error(`productSet userErrors: ${message}`);
+    }
+
+    const created = await completeProductSet(payload?.product, input, mediaEntries, currentState, staleMetafields);
+    const productReferences = pricing.status ? { ...prepared.references, status: pricing.status } : prepared.references;
+    const productDiff = currentState
+      ? diffProductInput(buildProductInput(prepared.base, productReferences), currentState, productReferences)
+      : null;
+    const diff = buildGroupDiff(
+      prepared.base,
+      prepared.variants,
+      currentState,
+      productDiff ? { fields: productDiff.fields, metafields: productDiff.metafields } : undefined
+    );
+
+    const finalised = await finaliseGroup(group, created, collectionCache, options, currentState);
+
+    return {
+      ...context,
+      ...finalised,
+      variantIds: created.variantIds,
+      ...summariseReferenceResults(prepared.references),
+      ...(created.metafieldsRemoved ? { metafieldsRemoved: created.metafieldsRemoved } : {}),
+      ...(diff ? { diff } : {}),
+      ...(pricing.findings.length ? { pricing } : {}),
+      status: 'success',
+      operation: prepared.existingProductId ? 'updated' : 'created',
+      writeMode: options.writeMode,
+      bulkOperationId,
+      lookup: prepared.lookup,
+    };
+  } catch (error) {
+    console.error('Failed to finalise bulk group', { groupKey, context }, error);
+    return {
+      ...context,
+      status: 'failed',
+      error: error.message,
+      bulkOperationId,
+    };
+  }
+}
+
+/**
+ * Full-catalog import: every group is prepared up front, all productSet
+ * payloads are written in a single bulk operation, and the result lines are
+ * mapped back to their records. Results keep the input order.
+ */
+async function syncGroupsInBulk(groupEntries, shared) {
+  const { options } = shared;
+  const metricsByKey = new Map(groupEntries.map(([groupKey]) => [groupKey, createShopifyMetrics()]));
+  const withMetrics = (groupKey, fn) => shopifyMetricsStorage.run(metricsByKey.get(groupKey), fn);
+
+  const entries = await mapWithConcurrency(
+    groupEntries,
+    options.concurrency,
+    ([groupKey, group]) => withMetrics(groupKey, () => prepareBulkGroup(groupKey, group, shared))
+  );
+
+  const pending = entries.filter((entry) => !entry.result);
+  let bulk = null;
+  let bulkError = null;
+  if (pending.length > 0) {
+    try {
+      bulk = await runBulkProductSet(
+        pending.map((entry) => ({ input: entry.input, synchronous: true })),
+        { apiVersion: options.apiVersion }
       );
+    } catch (error) {
+      console.error('Bulk productSet operation failed', error);
+      bulkError = error;
+    }
+  }
+  const lineNumbers = new Map(pending.map((entry, index) => [entry, index]));
+
+  return mapWithConcurrency(entries, options.concurrency, async (entry) => {
+    let result;
+    if (entry.result) {
+      result = entry.result;
+    } else if (bulkError) {
+      result = { ...entry.context, status: 'failed', error: bulkError.message };
+    } else {
+      result = await withMetrics(entry.groupKey, () => finaliseBulkGroup(
+        entry,
+        bulk.resultsByLine.get(lineNumbers.get(entry)),
+        bulk.operation.id,
+        shared
+      ));
+    }
+    return { ...result, shopify: metricsByKey.get(entry.groupKey) };
+  });
+}
+
+/**
+ * Works out which group a record belongs to. Without grouping every record is
+ * its own product. With grouping, a per-record override (keyed by Airtable
+ * record id; an empty value keeps the record on its own) wins over the
+ * explicit/heuristic key from describeGroupKey.
+ */
+function resolveRecordGroup(record, index, options = {}) {
+  const baseKey =
+    record?.id ||
+    record?.ProductID ||
+    record?.SKU ||
+    record?.['Product Name'] ||
+    'record';
+  const standaloneKey = `${String(baseKey).trim().toLowerCase()}::${index}`;
+
+  if (!options.grouping) {
+    return { key: standaloneKey, source: 'standalone', field: null };
+  }
+
+  const overrides = options.groupOverrides || {};
+  const recordId = getAirtableRecordId(record);
+  if (recordId && Object.prototype.hasOwnProperty.call(overrides, recordId)) {
+    const override = String(overrides[recordId] ?? '').trim().toLowerCase();
+    return { key: override || standaloneKey, source: 'override', field: null };
+  }
+
+  const described = describeGroupKey(record);
+  return described.key ? described : { key: standaloneKey, source: 'standalone', field: null };
+}
+
+function groupRecords(records, options = {}) {
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const { key } = resolveRecordGroup(record, index, options);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  return groups;
+}
+
+/**
+ * Shows how records would be grouped without touching Shopify: each proposed
+ * product, the key every record fell into and the option values its variants
+ * would get.
+ */
+function previewGroups(records, options = {}) {
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const assignment = resolveRecordGroup(record, index, { ...options, grouping: true });
+    if (!groups.has(assignment.key)) groups.set(assignment.key, []);
+    groups.get(assignment.key).push({ record, index, assignment });
+  });
+
+  const proposed = Array.from(groups.entries()).map(([key, members]) => {
+    const group = members.map((member) => member.record);
+    const groupOptions = resolveGroupOptions(group);
+    const previewRecords = members.map(({ record, index, assignment }, position) => ({
+      index,
+      recordId: getAirtableRecordId(record) || null,
+      sku: asSingleLineValue(record?.SKU) || null,
+      productName: asSingleLineValue(record?.['Product Name']) || null,
+      keySource: assignment.source,
+      keyField: assignment.field,
+      optionValues: groupOptions.map(({ position: optionPosition, name }) => ({
+        name,
+        value: resolveOptionValue(record, position, optionPosition) || null,
+      })),
+    }));
+
+    return {
+      key,
+      productName: previewRecords[0].productName,
+      optionNames: groupOptions.map((option) => option.name),
+      recordCount: previewRecords.length,
+      records: previewRecords,
+      // The sync refuses groups with these problems
+      warnings: validateGroupOptions(group, groupOptions),
+    };
+  });
+
+  return {
+    recordCount: records.length,
+    groupCount: proposed.length,
+    groups: proposed,
+  };
+}
+
+function findRecordUnmappedFields(record) {
+  if (!record || typeof record !== 'object') {
+    return [];
+  }
+  return findUnmappedFields(record, {
+    mapping: METAFIELD_MAPPING,
+    knownFields: RECORD_FIELDS,
+    knownPatterns: RECORD_FIELD_PATTERNS,
+    ignoredFields: IGNORED_RECORD_FIELDS,
+  });
+}
+
+// Per-record entries for one group's result: `{ recordId, field, didYouMean? }`.
+function describeGroupUnmappedFields(group) {
+  return group.flatMap((record) => findRecordUnmappedFields(record).map((entry) => ({
+    recordId: getAirtableRecordId(record) || null,
+    ...entry,
+  })));
+}
+
+// Batch view: each unmapped field once, with the records that carry it.
+function buildUnmappedFieldReport(records) {
+  const fields = new Map();
+  for (const record of records) {
+    for (const entry of findRecordUnmappedFields(record)) {
+      if (!fields.has(entry.field)) {
+        fields.set(entry.field, { ...entry, recordIds: [] });
+      }
+      fields.get(entry.field).recordIds.push(getAirtableRecordId(record) || null);
+    }
+  }
+  return Array.from(fields.values());
+}
+
+function withUnmappedFields(result, group) {
+  const unmappedFields = describeGroupUnmappedFields(group);
+  return unmappedFields.length ? { ...result, unmappedFields } : result;
+}
+
+/**
+ * Groups and syncs a batch of records, returning one result per group in
+ * input order. `onResult(result, index)` is called as each group finishes.
+ */
+async function syncRecords(records, options, hooks = {}) {
+  const { onResult } = hooks;
+  const collectionCache = new Map();
+  const fileReferenceCache = new Map();
+
+  // 1) Group incoming items
+  const groups = groupRecords(records, options);
+
+  // 2) Process groups through a bounded pool; caches are shared and results keep input order.
+  // Bulk mode writes every group in a single bulk operation instead.
+  const shared = { options, collectionCache, fileReferenceCache };
+
+  // One index query resolves every collection name; if it fails, each lookup retries it and reports its own error.
+  try {
+    await preloadCollections(mergeGroupCollections(records), collectionCache);
+  } catch (error) {
+    console.warn('Failed to preload collections', error.message);
+  }
+  const groupEntries = Array.from(groups.entries());
+  if (options.writeMode === 'bulk' && !options.dryRun) {
+    const bulkResults = (await syncGroupsInBulk(groupEntries, shared))
+      .map((result, index) => withUnmappedFields(result, groupEntries[index][1]));
+    if (onResult) {
+      for (const [index, result] of bulkResults.entries()) {
+        // eslint-disable-next-line no-await-in-loop
+        await onResult(result, index);
+      }
+    }
+    return bulkResults;
+  }
+
+  return mapWithConcurrency(
+    groupEntries,
+    options.concurrency,
+    async ([groupKey, group], index) => {
+      const metrics = createShopifyMetrics();
+      const result = await shopifyMetricsStorage.run(metrics, () => processGroup(groupKey, group, shared));
+      const withMetrics = withUnmappedFields({ ...result, shopify: metrics }, group);
+      if (onResult) {
+        await onResult(withMetrics, index);
+      }
+      return withMetrics;
+    }
+  );
+}
+
+// Jobs live in this instance only, so another instance cannot run or report them.
+function createMemoryJobStore() {
+  const jobs = new Map();
+  return {
+    shared: false,
+    async create(job) {
+      jobs.set(job.id, structuredClone(job));
+      return job;
+    },
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? structuredClone(job) : null;
+    },
+    async update(id, patch) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+      Object.assign(job, structuredClone(patch));
+      return structuredClone(job);
+    },
+  };
+}
+
+// Stores each job as `<dir>/<id>.json`; shared between instances when JOB_STORE_DIR is a shared mount.
+function createFileJobStore(dir = JOB_STORE_DIR) {
+  const jobPath = (id) => {
+    if (!/^[\w-]+$/.test(String(id))) {
+      throw new Error(`Invalid job id: ${id}`);
+    }
+    return path.join(dir, `${id}.json`);
+  };
+  const write = async (job) => {
+    await fs.mkdir(dir, { recursive: true });
+    const target = jobPath(job.id);
+    const tempPath = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(job, null, 2));
+    await fs.rename(tempPath, target);
+    return job;
+  };
+  const read = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(jobPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+  return {
+    create: write,
+    get: read,
+    async update(id, patch) {
+      const job = await read(id);
+      if (!job) {
+        return null;
+      }
+      return write({ ...job, ...patch });
+    },
+  };
+}
+
+function createJobStore(type = JOB_STORE) {
+  if (type === 'file') {
+    return createFileJobStore();
+  }
+  return createMemoryJobStore();
+}
+
+// Any object with async create(job), get(id) and update(id, patch) can replace the default store.
+// Stores are assumed to be shared between instances unless they set `shared: false`.
+let jobStore = createJobStore();
+
+function setJobStore(store) {
+  jobStore = store;
+}
+
+function getJobStore() {
+  return jobStore;
+}
+
+function summariseJobProgress(total, results) {
+  const finished = results.filter(Boolean);
+  return {
+    total,
+    processed: finished.length,
+    succeeded: finished.filter((result) => result.status === 'success' || result.status === 'planned').length,
+    failed: finished.filter((result) => result.status === 'failed').length,
+    blocked: finished.filter((result) => result.status === 'blocked').length,
+  };
+}
+
+/**
+ * Stores a queued job with its records, so whichever instance runs it can read
+ * them back. `report` carries the validation and unmapped-field findings made
+ * before the job starts.
+ */
+async function createSyncJob(records, options, report = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    options,
+    records,
+    progress: summariseJobProgress(groupRecords(records, options).size, []),
+    results: [],
+    invalid: report.invalid || [],
+    skipped: report.skipped || [],
+    unmappedFields: report.unmappedFields || [],
+    error: null,
+  };
+  return jobStore.create(job);
+}
+
+/**
+ * Runs a queued job and records progress in the job store after each group.
+ * Store writes are chained so updates land in order.
+ */
+async function runSyncJob(jobId, records, options) {
+  const store = jobStore;
+  const total = groupRecords(records, options).size;
+  const results = new Array(total).fill(null);
+  let pendingWrite = Promise.resolve();
+  const queueUpdate = (patch) => {
+    pendingWrite = pendingWrite
+      .then(() => store.update(jobId, patch))
+      .catch((error) => console.error('Failed to update sync job', { jobId }, error));
+    return pendingWrite;
+  };
+
+  queueUpdate({ status: 'running', startedAt: new Date().toISOString() });
+
+  try {
+    await syncRecords(records, options, {
+      onResult: (result, index) => {
+        results[index] = result;
+        return queueUpdate({ progress: summariseJobProgress(total, results), results });
+      },
+    });
+    await queueUpdate({
+      status: 'completed',
+      finishedAt: new Date().toISOString(),
+      progress: summariseJobProgress(total, results),
+      results,
+    });
+  } catch (error) {
+    console.error('Sync job failed', { jobId }, error);
+    await queueUpdate({
+      status: 'failed',
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    });
+  }
+}
+
+// Why async jobs cannot run here, or null when they can.
+function getAsyncJobsUnavailableReason() {
+  if (jobStore.shared === false) {
+    return 'Async jobs need a job store shared between instances: set JOB_STORE=file with JOB_STORE_DIR on a shared mount, or call setJobStore().';
+  }
+  if (!SYNC_JOB_WORKER_URL) {
+    return 'Async jobs need SYNC_JOB_WORKER_URL, the URL this function is deployed at.';
+  }
+  return null;
+}
+
+/**
+ * Starts a queued job in its own request to POST /jobs/:id/run, which holds
+ * the job until it finishes. Resolves once the worker has marked the job
+ * running; the request itself is then dropped without cancelling the run.
+ */
+async function dispatchSyncJob(jobId) {
+  const controller = new AbortController();
+  let failure = null;
+  fetch(`${SYNC_JOB_WORKER_URL}/jobs/${encodeURIComponent(jobId)}/run`, {
+    method: 'POST',
+    headers: SYNC_JOB_WORKER_TOKEN ? { 'X-Sync-Job-Token': SYNC_JOB_WORKER_TOKEN } : {},
+    signal: controller.signal,
+  })
+    .then(async (response) => {
+      if (!response.ok) {
+        failure = new Error(`Job worker answered ${response.status}: ${await response.text()}`);
+      }
+    })
+    .catch((error) => {
+      if (!controller.signal.aborted) {
+        failure = error;
+      }
+    });
+
+  const deadline = Date.now() + SYNC_JOB_DISPATCH_TIMEOUT_MS;
+  try {
+    while (Date.now() < deadline) {
+      // eslint-disable-next-line no-await-in-loop
+      const job = await jobStore.get(jobId);
+      if (job && job.status !== 'queued') {
+        return;
+      }
+      if (failure) {
+        throw failure;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(250);
+    }
+    throw new Error(`The job worker did not start job ${jobId} within ${SYNC_JOB_DISPATCH_TIMEOUT_MS} ms.`);
+  } finally {
+    controller.abort();
+  }
+}
+
+// POST /jobs/:id/run: runs a queued job to completion inside this request.
+async function runQueuedSyncJob(req, res, jobId) {
+  if (SYNC_JOB_WORKER_TOKEN && req.get?.('X-Sync-Job-Token') !== SYNC_JOB_WORKER_TOKEN) {
+    res.status(403).json({ error: 'Invalid job worker token.' });
+    return;
+  }
+  const job = await jobStore.get(jobId).catch(() => null);
+  if (!job) {
+    res.status(404).json({ error: `Job ${jobId} not found.` });
+    return;
+  }
+  if (job.status !== 'queued') {
+    res.status(409).json({ error: `Job ${jobId} is already ${job.status}.` });
+    return;
+  }
+  await runSyncJob(job.id, job.records || [], job.options);
+  const { records, ...finished } = (await jobStore.get(jobId)) || job;
+  res.status(200).json(finished);
+}
+
+async function getSyncJob(res, jobId) {
+  const job = await jobStore.get(jobId).catch(() => null);
+  if (!job) {
+    res.status(404).json({ error: `Job ${jobId} not found.` });
+    return;
+  }
+  const { records, ...status } = job;
+  res.status(200).json(status);
+}
+
+/**
+ * Resolves `productIds` (GIDs or numeric ids) and `recordIds` (Airtable record
+ * ids, matched through the custom.airtable_record_id metafield) from a body.
+ */
+async function resolveProductTargets(body) {
+  const options = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+  const targets = normaliseArray(options.productIds).map((raw) => ({
+    productId: normaliseShopifyProductGid(raw) || null,
+    input: raw,
+  }));
+  const recordIds = normaliseArray(options.recordIds).map((value) => String(value).trim()).filter(Boolean);
+  // A deleted record's duplicates are all acted on, not just the first one found.
+  const recordTargets = await mapWithConcurrency(recordIds, SYNC_CONCURRENCY, async (recordId) => {
+    const productIds = await findProductIdsByRecordId(recordId);
+    return productIds.length
+      ? productIds.map((productId) => ({ productId, recordId }))
+      : [{ productId: null, recordId }];
+  });
+  return targets.concat(recordTargets.flat());
+}
+
+async function applyToProductTargets(targets, action) {
+  return mapWithConcurrency(targets, SYNC_CONCURRENCY, async (target) => {
+    const { input, ...context } = target;
+    if (!target.productId) {
+      return {
+        ...context,
+        status: 'skipped',
+        reason: input !== undefined
+          ? `Not a Shopify product id: ${input}`
+          : 'No Shopify product found for this record.',
+      };
+    }
+    try {
+      return { ...context, ...(await action(target.productId)) };
+    } catch (error) {
+      console.error('Failed to update product lifecycle', context, error);
+      return { ...context, status: 'failed', error: error.message };
+    }
+  });
+}
 
-      const collections = await attachCollections(
-        created.productId,
-        { Collection: mergedCollections },
-        collectionCache
-      );
+// Responds itself and returns null when there is nothing to act on or the record lookups fail.
+async function readProductTargets(req, res) {
+  let targets;
+  try {
+    targets = await resolveProductTargets(req.body);
+  } catch (error) {
+    console.error('Failed to resolve product targets', error);
+    res.status(502).json({ error: `Failed to look up products in Shopify: ${error.message}` });
+    return null;
+  }
+  if (!targets.length) {
+    res.status(400).json({ error: 'Request body must include "productIds" or "recordIds".' });
+    return null;
+  }
+  return targets;
+}
 
-      let publishResult;
-      if (created.productStatus === 'DRAFT') {
-        publishResult = { published: false, skipped: true, reason: 'Product created with DRAFT status.' };
-      } else {
-        publishResult = await publishProduct(created.productId);
-      }
+async function archiveProduct(productId) {
+  await setProductStatus(productId, 'ARCHIVED');
+  const lifecycle = await withdrawProduct(productId, 'ARCHIVED');
+  return { status: 'archived', lifecycle };
+}
 
-      const productDetails = await fetchProductDetails(created.productId);
+// POST /products/archive — archives products whose records left Airtable.
+async function archiveProducts(req, res) {
+  const targets = await readProductTargets(req, res);
+  if (!targets) {
+    return;
+  }
+  const results = await applyToProductTargets(targets, archiveProduct);
+  res.status(200).json({ processed: results.length, results });
+}
 
-      const numericProductId = created.productId.replace('gid://shopify/Product/', '');
+// POST /products/delete — permanently deletes products; disabled unless PRODUCT_DELETE_ENABLED is set.
+async function deleteProducts(req, res) {
+  if (!PRODUCT_DELETE_ENABLED) {
+    res.status(404).json({ error: 'Product deletion is disabled. Set PRODUCT_DELETE_ENABLED=true to enable it.' });
+    return;
+  }
+  const confirmed = asBooleanFlag(req.query?.confirm) || asBooleanFlag(req.body?.confirm);
+  if (!confirmed) {
+    res.status(400).json({ error: 'Deleting products cannot be undone. Repeat the request with "confirm": true.' });
+    return;
+  }
+  const targets = await readProductTargets(req, res);
+  if (!targets) {
+    return;
+  }
+  const results = await applyToProductTargets(targets, async (productId) => ({
+    status: 'deleted',
+    ...(await deleteProduct(productId)),
+  }));
+  res.status(200).json({ processed: results.length, results });
+}
 
-      const productUrl = resolveProductUrl({
-        handle: productDetails.handle || created.productHandle,
-        onlineStoreUrl: productDetails.onlineStoreUrl || created.onlineStoreUrl,
-        fallbackHandle: resolveProductHandle(base),
-        collectionSlug: resolvePrimaryCollectionSlug(base),
-        numericProductId,
+/**
+ * Lenient validation: drops the invalid records and reports each as an
+ * `invalid` result. With `pruneVariants` the rest of an invalid record's group
+ * is held back too, since syncing it alone would prune the missing variant.
+ */
+function skipInvalidRecords(records, invalid, options) {
+  if (!invalid.length) {
+    return { accepted: records, rejected: [] };
+  }
+
+  const invalidIndexes = new Set(invalid.map((entry) => entry.index));
+  const heldBack = new Map();
+  if (options.pruneVariants) {
+    const groupKeys = records.map((record, index) => (
+      invalidIndexes.has(index) ? null : resolveRecordGroup(record, index, options).key
+    ));
+    for (const entry of invalid) {
+      const record = records[entry.index];
+      const key = record && typeof record === 'object' ? resolveRecordGroup(record, entry.index, options).key : null;
+      groupKeys.forEach((groupKey, index) => {
+        if (key && groupKey === key && !heldBack.has(index)) {
+          heldBack.set(index, entry);
+        }
       });
+    }
+  }
 
-      results.push({
-        ...context,
-        productId: created.productId,
-        productIdNumeric: numericProductId,
-        productUrl: productUrl,
-        productTitle: created.productTitle,
-        productStatus: created.productStatus,
-        variantIds: variantResult.variantIds,
-        collections,
-        publish: publishResult,
-        addons: {
-          input: addonShopifyProductIds,
-          valid: addonMetafieldResult.validReferenceIds,
-          invalid: addonMetafieldResult.invalidReferenceIds,
-        },
-        optionalUpgrades: {
-          input: optionalUpgradeIds,
-          valid: optionalUpgradesMetafieldResult.validReferenceIds,
-        },
-        replacements: {
-          input: replacementIds,
-          valid: replacementsMetafieldResult.validReferenceIds,
-        },
-        occupantVariants: {
-          input: variantShopifyProductIds,
-          valid: occupantVariantsMetafieldResult.validReferenceIds,
-          invalid: occupantVariantsMetafieldResult.invalidReferenceIds,
-        },
-        documentation: {
-          fileIds: documentationMetafieldResult.fileIds,
-          errors: documentationMetafieldResult.errors,
-          skipped: documentationMetafieldResult.skipped,
-        },
-        status: 'success',
-        operation: existingProductId ? 'updated' : 'created',
+  const accepted = [];
+  const rejected = invalid.map((entry) => ({
+    sourceId: entry.recordId || 'unknown',
+    status: 'invalid',
+    index: entry.index,
+    errors: entry.errors,
+  }));
+  records.forEach((record, index) => {
+    if (invalidIndexes.has(index)) {
+      return;
+    }
+    const blocker = heldBack.get(index);
+    if (blocker) {
+      rejected.push({
+        sourceId: getAirtableRecordId(record) || 'unknown',
+        status: 'skipped',
+        index,
+        reason: `Grouped with invalid record ${blocker.recordId || `#${blocker.index + 1}`}; skipped so pruneVariants does not remove its variant.`,
       });
+      return;
+    }
+    accepted.push(record);
+  });
+  rejected.sort((a, b) => a.index - b.index);
+  return { accepted, rejected };
+}
+
+// Slots each group result in at its first record's index, so results follow the request order around rejected entries.
+function mergeResultsInInputOrder(records, accepted, rejected, results, options) {
+  const recordIndexes = new Map(records.map((record, index) => [record, index]));
+  const groupIndexes = Array.from(groupRecords(accepted, options).values())
+    .map((group) => recordIndexes.get(group[0]));
+  const merged = new Array(records.length);
+  results.forEach((result, position) => {
+    merged[groupIndexes[position]] = result;
+  });
+  for (const result of rejected) {
+    merged[result.index] = result;
+  }
+  return merged.filter(Boolean);
+}
+
+async function shopifyProductSync(req, res) {
+  const route = String(req.path || '').replace(/\/+$/, '');
+  if (req.method === 'POST' && route === '/products/archive') {
+    await archiveProducts(req, res);
+    return;
+  }
+  if (req.method === 'POST' && route === '/products/delete') {
+    await deleteProducts(req, res);
+    return;
+  }
+  if (req.method === 'POST' && route === '/metafields/definitions') {
+    await syncMetafieldDefinitions(req, res);
+    return;
+  }
+  if (req.method === 'POST' && route === '/groups/preview') {
+    const { records, options } = resolveSyncRequest(req);
+    if (!Array.isArray(records)) {
+      res.status(400).json({ error: 'Request body must be an array of product objects or an object with a "records" array.' });
+      return;
+    }
+    res.status(200).json(previewGroups(records, options));
+    return;
+  }
+
+  const jobMatch = String(req.path || '').match(/^\/jobs\/([^/]+)\/?$/);
+  if (req.method === 'GET' && jobMatch) {
+    await getSyncJob(res, decodeURIComponent(jobMatch[1]));
+    return;
+  }
+  const runMatch = route.match(/^\/jobs\/([^/]+)\/run$/);
+  if (req.method === 'POST' && runMatch) {
+    await runQueuedSyncJob(req, res, decodeURIComponent(runMatch[1]));
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed. Use POST, or GET /jobs/:id for job status.' });
+    return;
+  }
+
+  const { records, options } = resolveSyncRequest(req);
+  if (!Array.isArray(records)) {
+    res.status(400).json({ error: 'Request body must be an array of product objects or an object with a "records" array.' });
+    return;
+  }
+
+  const { invalid } = validateRecords(records, PRODUCT_RECORD_SCHEMA);
+  if (invalid.length && options.validation === 'strict') {
+    res.status(422).json({
+      error: `${invalid.length} of ${records.length} records failed validation; nothing was synced.`,
+      validation: options.validation,
+      errors: invalid,
+    });
+    return;
+  }
+  const { accepted, rejected } = skipInvalidRecords(records, invalid, options);
+  const unmappedFields = buildUnmappedFieldReport(accepted);
+
+  if (options.async) {
+    const unavailable = getAsyncJobsUnavailableReason();
+    if (unavailable) {
+      res.status(400).json({ error: unavailable });
+      return;
+    }
+    // Records held back with an invalid group member; invalid records themselves are under `invalid`.
+    const skipped = rejected.filter((result) => result.status === 'skipped');
+    let job;
+    try {
+      job = await createSyncJob(accepted, options, { invalid, skipped, unmappedFields });
     } catch (error) {
-      console.error('Failed to process group', { groupKey, context }, error);
-      results.push({
-        ...context,
-        status: 'failed',
-        error: error.message,
-      });
+      console.error('Failed to create sync job', error);
+      res.status(500).json({ error: `Failed to create sync job: ${error.message}` });
+      return;
     }
+    try {
+      await dispatchSyncJob(job.id);
+    } catch (error) {
+      console.error('Failed to start sync job', { jobId: job.id }, error);
+      await jobStore.update(job.id, { status: 'failed', finishedAt: new Date().toISOString(), error: error.message }).catch(() => null);
+      res.status(500).json({ jobId: job.id, error: `Failed to start sync job: ${error.message}` });
+      return;
+    }
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/jobs/${job.id}`,
+      total: job.progress.total,
+      ...(invalid.length ? { invalid } : {}),
+      ...(skipped.length ? { skipped } : {}),
+      ...(unmappedFields.length ? { unmappedFields } : {}),
+    });
+    return;
   }
 
+  const results = await syncRecords(accepted, options);
+
   res.status(200).json({
     processed: results.length,
-    results,
+    ...(options.dryRun ? { dryRun: true } : {}),
+    ...(invalid.length ? { invalid } : {}),
+    ...(unmappedFields.length ? { unmappedFields } : {}),
+    results: mergeResultsInInputOrder(records, accepted, rejected, results, options),
+  });
+}
+
+/**
+ * Pages through every product the sync manages: products carrying the
+ * custom.airtable_record_id metafield or, when configured, MANAGED_PRODUCT_TAG.
+ */
+async function fetchManagedProducts() {
+  const products = [];
+  let after = null;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      MANAGED_PRODUCTS_QUERY,
+      {
+        first: RECONCILE_PAGE_SIZE,
+        after,
+        query: MANAGED_PRODUCT_TAG ? `tag:${toSearchTerm(MANAGED_PRODUCT_TAG)}` : null,
+        namespace: AIRTABLE_RECORD_ID_METAFIELD.namespace,
+        key: AIRTABLE_RECORD_ID_METAFIELD.key,
+      },
+      'managedProducts'
+    );
+    const connection = response.data?.products;
+    for (const node of connection?.nodes || []) {
+      const recordId = node.metafield?.value || null;
+      if (!recordId && !(MANAGED_PRODUCT_TAG && (node.tags || []).includes(MANAGED_PRODUCT_TAG))) {
+        continue;
+      }
+      let variants = node.variants?.nodes || [];
+      if (node.variants?.pageInfo?.hasNextPage) {
+        // eslint-disable-next-line no-await-in-loop
+        variants = (await fetchProductSyncState(node.id))?.variants || variants;
+      }
+      products.push({
+        id: node.id,
+        title: node.title,
+        status: node.status,
+        recordId,
+        skus: variants.map((variant) => getVariantSku(variant)).filter(Boolean),
+      });
+    }
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return products;
+}
+
+// Returns the subset of `productIds` that still exist in Shopify.
+async function findExistingProductIds(productIds) {
+  const existing = new Set();
+  for (let index = 0; index < productIds.length; index += 100) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      PRODUCTS_BY_IDS_QUERY,
+      { ids: productIds.slice(index, index + 100) },
+      'productsByIds'
+    );
+    for (const node of response.data?.nodes || []) {
+      if (node?.id) {
+        existing.add(node.id);
+      }
+    }
+  }
+  return existing;
+}
+
+/**
+ * Compares the complete Airtable export with the managed Shopify catalog and
+ * reports orphans (Shopify products with no record), stale `Shopify Product Id`
+ * values, SKU mismatches and records that were never synced.
+ */
+async function buildReconciliationReport(records) {
+  const shopifyProducts = await fetchManagedProducts();
+  const productsById = new Map(shopifyProducts.map((product) => [product.id, product]));
+  const productsByRecordId = new Map(
+    shopifyProducts.filter((product) => product.recordId).map((product) => [product.recordId, product])
+  );
+
+  const entries = records.map((record) => {
+    const rawProductId = getShopifyProductIdFromRecord(record);
+    return {
+      record,
+      recordId: getAirtableRecordId(record) || null,
+      rawProductId: rawProductId || null,
+      productId: normaliseShopifyProductGid(rawProductId) || null,
+      sku: asSingleLineValue(record?.SKU) || null,
+      title: asSingleLineValue(record?.['Product Name']) || null,
+    };
+  });
+
+  // Ids that are not among the managed products may still exist unmanaged, so confirm before calling them stale.
+  const unknownIds = Array.from(new Set(
+    entries.map((entry) => entry.productId).filter((productId) => productId && !productsById.has(productId))
+  ));
+  const existingUnmanagedIds = unknownIds.length ? await findExistingProductIds(unknownIds) : new Set();
+
+  const staleIds = [];
+  const unsynced = [];
+  const linked = new Map();
+  for (const entry of entries) {
+    if (entry.productId && !productsById.has(entry.productId) && !existingUnmanagedIds.has(entry.productId)) {
+      staleIds.push(entry);
+    }
+    const product = productsById.get(entry.productId) || productsByRecordId.get(entry.recordId);
+    if (!product) {
+      if (!entry.productId) {
+        unsynced.push(entry);
+      }
+      continue;
+    }
+    if (!linked.has(product.id)) {
+      linked.set(product.id, { product, entries: [] });
+    }
+    linked.get(product.id).entries.push(entry);
+  }
+
+  const orphans = shopifyProducts.filter((product) => !linked.has(product.id));
+
+  const skuMismatches = [];
+  for (const { product, entries: productEntries } of linked.values()) {
+    const recordSkus = new Set(productEntries.map((entry) => entry.sku).filter(Boolean));
+    for (const entry of productEntries) {
+      if (entry.sku && !product.skus.includes(entry.sku)) {
+        skuMismatches.push({ type: 'missing_in_shopify', entry, product, sku: entry.sku });
+      }
+    }
+    for (const sku of product.skus) {
+      if (!recordSkus.has(sku)) {
+        skuMismatches.push({ type: 'missing_in_airtable', entry: productEntries[0], product, sku });
+      }
+    }
+  }
+
+  const describeEntry = (entry) => ({
+    recordId: entry.recordId,
+    shopifyProductId: entry.rawProductId,
+    sku: entry.sku,
+    title: entry.title,
+  });
+  const describeProduct = (product) => ({
+    productId: product.id,
+    title: product.title,
+    status: product.status,
+    recordId: product.recordId,
+    skus: product.skus,
   });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      airtableRecords: records.length,
+      shopifyProducts: shopifyProducts.length,
+      orphans: orphans.length,
+      staleIds: staleIds.length,
+      skuMismatches: skuMismatches.length,
+      unsynced: unsynced.length,
+    },
+    orphans: orphans.map(describeProduct),
+    staleIds: staleIds.map((entry) => ({ ...describeEntry(entry), productId: entry.productId })),
+    skuMismatches: skuMismatches.map((mismatch) => ({
+      type: mismatch.type,
+      sku: mismatch.sku,
+      recordId: mismatch.entry.recordId,
+      productId: mismatch.product.id,
+      title: mismatch.product.title,
+      shopifySkus: mismatch.product.skus,
+    })),
+    unsynced: unsynced.map(describeEntry),
+  };
+}
+
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const RECONCILIATION_CSV_COLUMNS = ['issue', 'recordId', 'productId', 'sku', 'title', 'shopifySkus', 'detail'];
+
+function reconciliationReportToCsv(report) {
+  const rows = [
+    ...report.orphans.map((orphan) => ({
+      issue: 'orphan',
+      recordId: orphan.recordId,
+      productId: orphan.productId,
+      title: orphan.title,
+      shopifySkus: orphan.skus,
+      detail: `Shopify status ${orphan.status}`,
+    })),
+    ...report.staleIds.map((stale) => ({
+      issue: 'stale_id',
+      recordId: stale.recordId,
+      productId: stale.productId,
+      sku: stale.sku,
+      title: stale.title,
+      detail: 'Shopify Product Id points at a deleted product',
+    })),
+    ...report.skuMismatches.map((mismatch) => ({
+      issue: `sku_${mismatch.type}`,
+      recordId: mismatch.recordId,
+      productId: mismatch.productId,
+      sku: mismatch.sku,
+      title: mismatch.title,
+      shopifySkus: mismatch.shopifySkus,
+    })),
+    ...report.unsynced.map((entry) => ({
+      issue: 'unsynced',
+      recordId: entry.recordId,
+      sku: entry.sku,
+      title: entry.title,
+      detail: 'No Shopify product found for this record',
+    })),
+  ];
+  return [RECONCILIATION_CSV_COLUMNS.join(',')]
+    .concat(rows.map((row) => RECONCILIATION_CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(',')))
+    .join('\n');
+}
+
+/**
+ * Clears stale `Shopify Product Id` values in Airtable through its REST API,
+ * ten records per request. Needs AIRTABLE_API_KEY, AIRTABLE_BASE_ID and
+ * AIRTABLE_TABLE_NAME.
+ */
+async function clearAirtableProductIds(recordIds) {
+  if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID || !AIRTABLE_TABLE_NAME) {
+    return {
+      cleared: [],
+      skipped: true,
+      reason: 'Set AIRTABLE_API_KEY, AIRTABLE_BASE_ID and AIRTABLE_TABLE_NAME to clear stale ids.',
+    };
+  }
+
+  const url = `https://api.airtable.com/v0/${AIRTABLE_BASE_ID}/${encodeURIComponent(AIRTABLE_TABLE_NAME)}`;
+  const cleared = [];
+  const failed = [];
+  for (let index = 0; index < recordIds.length; index += 10) {
+    const batch = recordIds.slice(index, index + 10);
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetch(url, {
+      method: 'PATCH',
+      headers: {
+        Authorization: `Bearer ${AIRTABLE_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        records: batch.map((id) => ({ id, fields: { 'Shopify Product Id': null } })),
+      }),
+    });
+    if (response.ok) {
+      cleared.push(...batch);
+    } else {
+      // eslint-disable-next-line no-await-in-loop
+      const text = await response.text().catch(() => '');
+      failed.push(...batch.map((id) => `${id} (error: ${response.status} ${text})`));
+    }
+  }
+  return { cleared, failed };
+}
+
+async function fetchProductMetafieldDefinitions() {
+  const definitions = [];
+  let after = null;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await callShopify(
+      METAFIELD_DEFINITIONS_QUERY,
+      { after },
+      'metafieldDefinitions',
+      { apiVersion: METAFIELD_DEFINITION_API_VERSION }
+    );
+    const connection = response.data?.metafieldDefinitions;
+    definitions.push(...(connection?.nodes || []));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return definitions;
+}
+
+function buildDefinitionCapabilities(definition) {
+  const capabilities = {};
+  if (definition.smartCollectionCondition) capabilities.smartCollectionCondition = { enabled: true };
+  if (definition.adminFilterable) capabilities.adminFilterable = { enabled: true };
+  return Object.keys(capabilities).length ? { capabilities } : {};
+}
+
+async function createMetafieldDefinition(definition) {
+  const response = await callShopify(
+    METAFIELD_DEFINITION_CREATE_MUTATION,
+    {
+      definition: {
+        namespace: definition.namespace,
+        key: definition.key,
+        type: definition.type,
+        name: definition.name,
+        description: definition.description,
+        ownerType: 'PRODUCT',
+        access: { storefront: definition.storefront },
+        ...buildDefinitionCapabilities(definition),
+      },
+    },
+    'metafieldDefinitionCreate',
+    { apiVersion: METAFIELD_DEFINITION_API_VERSION }
+  );
+
+  const payload = response.data?.metafieldDefinitionCreate;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`metafieldDefinitionCreate userErrors: ${message}`);
+  }
+  return payload?.createdDefinition;
+}
+
+// Turns on `adminFilterable` for a definition created before the sync asked for it.
+async function enableAdminFilterable(definition) {
+  const response = await callShopify(
+    METAFIELD_DEFINITION_UPDATE_MUTATION,
+    {
+      definition: {
+        namespace: definition.namespace,
+        key: definition.key,
+        ownerType: 'PRODUCT',
+        capabilities: { adminFilterable: { enabled: true } },
+      },
+    },
+    'metafieldDefinitionUpdate',
+    { apiVersion: METAFIELD_DEFINITION_API_VERSION }
+  );
+
+  const payload = response.data?.metafieldDefinitionUpdate;
+  const userErrors = payload?.userErrors || [];
+  if (userErrors.length > 0) {
+    const message = userErrors.map((error) => error.message).join('; ');
+    throw new Error(`metafieldDefinitionUpdate userErrors: ${message}`);
+  }
+  return payload?.updatedDefinition;
+}
+
+/**
+ * Compares the definitions derived from the metafield mapping (product sync
+ * and bundle function) with the store's product metafield definitions and,
+ * unless `dryRun` is set, creates the missing ones and enables
+ * `adminFilterable` where it is missing. Definitions whose type differs are
+ * reported, never changed.
+ */
+async function bootstrapMetafieldDefinitions(options = {}) {
+  const { dryRun = false } = options;
+  const productDefinitions = deriveMetafieldDefinitions();
+  const productIds = new Set(productDefinitions.map((definition) => `${definition.namespace}.${definition.key}`));
+  const derived = productDefinitions.concat(
+    deriveMetafieldDefinitions('bundle').filter((definition) => !productIds.has(`${definition.namespace}.${definition.key}`))
+  );
+  const existingById = new Map(
+    (await fetchProductMetafieldDefinitions()).map((definition) => [
+      `${definition.namespace}.${definition.key}`,
+      definition,
+    ])
+  );
+
+  const existing = [];
+  const missing = [];
+  const conflicts = [];
+  const notFilterable = [];
+  for (const definition of derived) {
+    const current = existingById.get(`${definition.namespace}.${definition.key}`);
+    if (!current) {
+      missing.push(definition);
+    } else if (current.type?.name !== definition.type) {
+      conflicts.push({
+        namespace: definition.namespace,
+        key: definition.key,
+        definitionId: current.id,
+        expectedType: definition.type,
+        actualType: current.type?.name || null,
+      });
+    } else {
+      existing.push({
+        namespace: definition.namespace,
+        key: definition.key,
+        definitionId: current.id,
+        storefront: current.access?.storefront || null,
+      });
+      if (definition.adminFilterable && !current.capabilities?.adminFilterable?.enabled) {
+        notFilterable.push(definition);
+      }
+    }
+  }
+
+  const created = [];
+  const updated = [];
+  const failed = [];
+  if (!dryRun) {
+    for (const definition of missing) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await createMetafieldDefinition(definition);
+        created.push({ namespace: definition.namespace, key: definition.key, type: definition.type, definitionId: result?.id || null });
+      } catch (error) {
+        failed.push({ namespace: definition.namespace, key: definition.key, type: definition.type, error: error.message });
+      }
+    }
+    for (const definition of notFilterable) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await enableAdminFilterable(definition);
+        updated.push({ namespace: definition.namespace, key: definition.key, adminFilterable: true, definitionId: result?.id || null });
+      } catch (error) {
+        failed.push({ namespace: definition.namespace, key: definition.key, type: definition.type, error: error.message });
+      }
+    }
+    recordIdSearchCheck = null;
+  }
+
+  return {
+    dryRun,
+    summary: {
+      derived: derived.length,
+      existing: existing.length,
+      missing: missing.length,
+      created: created.length,
+      notFilterable: notFilterable.length,
+      updated: updated.length,
+      failed: failed.length,
+      conflicts: conflicts.length,
+    },
+    missing,
+    created,
+    notFilterable: notFilterable.map(({ namespace, key }) => ({ namespace, key })),
+    updated,
+    failed,
+    conflicts,
+    existing,
+  };
+}
+
+// POST /metafields/definitions — creates missing product metafield definitions; `dryRun` only reports.
+async function syncMetafieldDefinitions(req, res) {
+  const { readFlag } = createRequestReader(req);
+  try {
+    const report = await bootstrapMetafieldDefinitions({ dryRun: readFlag('dryRun') });
+    res.status(200).json(report);
+  } catch (error) {
+    console.error('Metafield definition bootstrap failed', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * HTTP entry point for the full-catalog reconciliation. Takes the complete
+ * Airtable export (same body as shopifyProductSync) and responds with the JSON
+ * report and its CSV, or only the CSV with `?format=csv`. `archiveOrphans` and
+ * `clearStaleIds` optionally act on the findings.
+ */
+async function shopifyCatalogReconcile(req, res) {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: 'Method Not Allowed. Use POST.' });
+    return;
+  }
+
+  const { records, readFlag, readValue } = createRequestReader(req);
+  if (!Array.isArray(records)) {
+    res.status(400).json({ error: 'Request body must be an array of product objects or an object with a "records" array.' });
+    return;
+  }
+
+  const archiveOrphans = readFlag('archiveOrphans');
+  const clearStaleIds = readFlag('clearStaleIds');
+  if ((archiveOrphans || clearStaleIds) && records.length === 0) {
+    // An empty export would make every managed product look orphaned.
+    res.status(400).json({ error: 'Refusing to act on an empty Airtable export.' });
+    return;
+  }
+
+  try {
+    const report = await buildReconciliationReport(records);
+
+    const actions = {};
+    if (archiveOrphans) {
+      actions.archivedOrphans = await applyToProductTargets(
+        report.orphans.map((orphan) => ({ productId: orphan.productId, recordId: orphan.recordId })),
+        archiveProduct
+      );
+    }
+    if (clearStaleIds) {
+      actions.clearedStaleIds = await clearAirtableProductIds(
+        report.staleIds.map((stale) => stale.recordId).filter(Boolean)
+      );
+    }
+
+    const csv = reconciliationReportToCsv(report);
+    if (readValue('format') === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.status(200).send(csv);
+      return;
+    }
+
+    res.status(200).json({
+      ...report,
+      ...(Object.keys(actions).length ? { actions } : {}),
+      csv,
+    });
+  } catch (error) {
+    console.error('Catalog reconciliation failed', error);
+    res.status(500).json({ error: error.message });
+  }
 }
 
 module.exports = {
   shopifyProductSync,
+  shopifyCatalogReconcile,
+  createBundleProducts,
   callShopify,
   buildProductMediaArray,
   buildMetafields,
+  deriveMetafieldDefinitions,
+  bootstrapMetafieldDefinitions,
   buildVariantInput,
   buildVariantInputFromRecord,
   createProduct,
@@ -3026,9 +6588,22 @@ module.exports = {
   createVariant,
   createVariants,
   deleteProduct,
+  archiveProduct,
+  withdrawProduct,
+  resolveProductStatus,
+  validateGroupPricing,
+  resolveInventoryPolicy,
+  buildInventoryQuantities,
+  resolveInventoryCost,
+  syncInventoryQuantities,
   normaliseArray,
+  getRecordIds,
+  getShopifyProductIdFromRecord,
   extractVariantShopifyProductIds,
   attachCollections,
+  normaliseCollectionMetadata,
+  planCollectionRemovals,
+  createCollection,
   publishProduct,
   escapeHtml,
   splitParagraphs,
@@ -3041,7 +6616,33 @@ module.exports = {
   toDescriptionHtml,
   buildProductInput,
   findCollectionIdByName,
+  preloadCollections,
   addProductToCollection,
   getPublicationIds,
   buildOccupantVariantsMetafield,
+  resolveSyncRequest,
+  skipInvalidRecords,
+  buildUnmappedFieldReport,
+  groupRecords,
+  previewGroups,
+  describeGroupKey,
+  buildReconciliationReport,
+  reconciliationReportToCsv,
+  planGroup,
+  fetchProductSyncState,
+  diffProductInput,
+  diffVariants,
+  syncProductMedia,
+  planMediaSync,
+  findExistingProduct,
+  reconcileVariants,
+  planVariantReconciliation,
+  buildProductSetInput,
+  upsertProductWithProductSet,
+  runBulkProductSet,
+  syncRecords,
+  createMemoryJobStore,
+  createFileJobStore,
+  setJobStore,
+  getJobStore,
 };
@@ -0,0 +1,405 @@
+'use strict';
+
+/**
+ * Markdown to HTML rendering for long-form Airtable fields, shared by the
+ * product sync and the metafield mapping.
+ */
+
+/**
+ * Basic HTML escaping to protect description payloads.
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeHtmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderInlineMarkdown(text, depth = 0) {
+  if (text === undefined || text === null) {
+    return '';
+  }
+
+  const MAX_DEPTH = 10;
+  const content = String(text);
+  if (!content.trim()) {
+    return '';
+  }
+
+  const placeholders = [];
+  const placeholderFor = (html) => {
+    const key = `@@MDPH${placeholders.length}@@`;
+    placeholders.push({
+      key,
+      placeholder: `@@MD${placeholders.length}@@`,
+      html,
+    });
+    return placeholders[placeholders.length - 1].placeholder;
+  };
+
+  let working = content;
+
+  const transformers = [
+    {
+      regex: /`([^`]+)`/g,
+      handler: (match, code) => placeholderFor(`<code>${escapeHtml(code)}</code>`),
+    },
+    {
+      regex: /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+      handler: (match, label, href) => {
+        const safeHref = escapeHtmlAttribute(href);
+        const inner = depth < MAX_DEPTH ? renderInlineMarkdown(label, depth + 1) : escapeHtml(label);
+        return placeholderFor(`<a href="${safeHref}" target="_blank" rel="noopener noreferrer">${inner}</a>`);
+      },
+    },
+  ];
+
+  const renderNested = (value, tag) => {
+    const inner = depth < MAX_DEPTH ? renderInlineMarkdown(value, depth + 1) : escapeHtml(value);
+    return placeholderFor(`<${tag}>${inner}</${tag}>`);
+  };
+
+  const styleTransformers = [
+    {
+      regex: /\*\*([^*]+)\*\*/g,
+      handler: (match, boldText) => renderNested(boldText, 'strong'),
+    },
+    {
+      regex: /__([^_]+)__/g,
+      handler: (match, boldText) => renderNested(boldText, 'strong'),
+    },
+    {
+      regex: /(?<!\*)\*([^*]+)\*(?!\*)/g,
+      handler: (match, italicText) => renderNested(italicText, 'em'),
+    },
+    {
+      regex: /(?<!_)_([^_]+)_(?!_)/g,
+      handler: (match, italicText) => renderNested(italicText, 'em'),
+    },
+  ];
+
+  for (const transformer of transformers) {
+    working = working.replace(transformer.regex, transformer.handler);
+  }
+
+  for (const transformer of styleTransformers) {
+    working = working.replace(transformer.regex, transformer.handler);
+  }
+
+  let escaped = escapeHtml(working);
+
+  for (const { key, placeholder } of placeholders) {
+    const placeholderPattern = new RegExp(placeholder.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    escaped = escaped.replace(placeholderPattern, key);
+  }
+
+  for (const { key, html } of placeholders) {
+    const pattern = new RegExp(key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    escaped = escaped.replace(pattern, html);
+  }
+
+  return escaped;
+}
+
+function markdownToDivHtml(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+
+  const text = String(input);
+  if (!text.trim()) {
+    return undefined;
+  }
+
+  const lines = text.split(/\r?\n/);
+  const segments = [];
+  let paragraphBuffer = [];
+  let listContext = null;
+
+  const flushParagraph = () => {
+    if (!paragraphBuffer.length) {
+      return;
+    }
+    const textContent = paragraphBuffer.join(' ').replace(/\s+/g, ' ').trim();
+    if (textContent) {
+      segments.push(`<div class="paragraph">${renderInlineMarkdown(textContent)}</div>`);
+    }
+    paragraphBuffer = [];
+  };
+
+  const flushList = () => {
+    if (!listContext || !listContext.items.length) {
+      listContext = null;
+      return;
+    }
+    const isOrdered = listContext.type === 'ordered';
+    const listTag = isOrdered ? 'ol' : 'ul';
+    const className = isOrdered ? 'list list-ordered' : 'list list-unordered';
+    const startValue = isOrdered && listContext.items[0].ordinal ? listContext.items[0].ordinal : 1;
+    const startAttr = isOrdered && startValue !== 1 ? ` start="${startValue}"` : '';
+    const items = listContext.items
+      .filter((item) => item.content && item.content.trim())
+      .map((item, index) => {
+        const valueAttr = isOrdered && item.ordinal && item.ordinal !== startValue + index
+          ? ` value="${item.ordinal}"`
+          : '';
+        return `<li${valueAttr}>${renderInlineMarkdown(item.content)}</li>`;
+      })
+      .join('');
+    if (items) {
+      segments.push(`<div class="${className}"><${listTag}${startAttr}>${items}</${listTag}></div>`);
+    }
+    listContext = null;
+  };
+
+  const ensureList = (type) => {
+    if (!listContext || listContext.type !== type) {
+      flushParagraph();
+      flushList();
+      listContext = { type, items: [] };
+    }
+  };
+
+  for (const rawLine of lines) {
+    const trimmed = rawLine.trim();
+
+    if (!trimmed) {
+      if (listContext) {
+        listContext.items.push({ ordinal: null, content: '' });
+      } else {
+        flushParagraph();
+      }
+      continue;
+    }
+
+    const headingMatch = trimmed.match(/^(#{1,6})\s+(.*)$/);
+    if (headingMatch) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(headingMatch[1].length, 6);
+      segments.push(`<div class="heading heading-${level}">${renderInlineMarkdown(headingMatch[2])}</div>`);
+      continue;
+    }
+
+    if (/^(-{3,}|_{3,}|\*{3,})$/.test(trimmed)) {
+      flushParagraph();
+      flushList();
+      segments.push('<div class="divider"></div>');
+      continue;
+    }
+
+    const blockquoteMatch = trimmed.match(/^>\s?(.*)$/);
+    if (blockquoteMatch) {
+      flushParagraph();
+      flushList();
+      segments.push(`<div class="blockquote">${renderInlineMarkdown(blockquoteMatch[1])}</div>`);
+      continue;
+    }
+
+    const orderedMatch = trimmed.match(/^(\d+)[.)]\s+(.*)$/);
+    if (orderedMatch && orderedMatch[2].trim()) {
+      ensureList('ordered');
+      listContext.items.push({ ordinal: Number(orderedMatch[1]), content: orderedMatch[2] });
+      continue;
+    }
+
+    const unorderedMatch = trimmed.match(/^[-*+]\s+(.*)$/);
+    if (unorderedMatch && unorderedMatch[1].trim()) {
+      ensureList('unordered');
+      listContext.items.push({ ordinal: null, content: unorderedMatch[1] });
+      continue;
+    }
+
+    if (/^[-–—]$/.test(trimmed)) {
+      flushParagraph();
+      continue;
+    }
+
+    const dashParagraph = trimmed.match(/^[-–—]\s*(.*)$/);
+    if (dashParagraph && dashParagraph[1]) {
+      flushParagraph();
+      paragraphBuffer.push(dashParagraph[1]);
+      continue;
+    }
+
+    flushList();
+    paragraphBuffer.push(trimmed);
+  }
+
+  flushParagraph();
+  flushList();
+
+  return segments.join('');
+}
+
+function markdownToHtml(input) {
+  if (input === undefined || input === null) {
+    return undefined;
+  }
+
+  const text = String(input);
+  if (!text.trim()) {
+    return undefined;
+  }
+
+  const lines = text.split(/\r?\n/);
+  const segments = [];
+  let paragraphBuffer = [];
+  let listContext = null; // { type: 'ordered' | 'unordered', items: Array<{ ordinal?: number, content: string }> }
+
+  const flushParagraph = () => {
+    if (!paragraphBuffer.length) {
+      return;
+    }
+    const renderedLines = paragraphBuffer
+      .map((line) => line.trim())
+      .filter((line) => line.length > 0)
+      .map((line) => renderInlineMarkdown(line));
+    if (renderedLines.length) {
+      segments.push(`<p>${renderedLines.join('<br />\n')}</p>`);
+    }
+    paragraphBuffer = [];
+  };
+
+  const flushList = () => {
+    if (!listContext || !listContext.items.length) {
+      listContext = null;
+      return;
+    }
+    const isOrdered = listContext.type === 'ordered';
+    const tag = isOrdered ? 'ol' : 'ul';
+    const startValue = isOrdered && listContext.items[0].ordinal ? listContext.items[0].ordinal : 1;
+    const startAttr = isOrdered && startValue !== 1 ? ` start="${startValue}"` : '';
+    const styleAttr = isOrdered
+      ? ' style="padding-left: 25px;"'
+      : ' style="list-style-type: disc; padding-left: 25px;"';
+    let items = '';
+    const filtered = listContext.items.filter((item) => (item.content || '').trim().length > 0);
+    for (let i = 0; i < filtered.length; i += 1) {
+      const item = filtered[i];
+      const valueAttr = isOrdered && item.ordinal && item.ordinal !== startValue + i
+        ? ` value="${item.ordinal}"`
+        : '';
+
+      if (!isOrdered) {
+        const content = (item.content || '').trim();
+        const endsWithColon = /:\s*$/.test(content);
+        const hasNext = i + 1 < filtered.length;
+        if (endsWithColon && hasNext) {
+          const next = filtered[i + 1];
+          const nested = `<ul style="list-style-type: circle; padding-left: 20px;"><li>${renderInlineMarkdown(next.content)}</li></ul>`;
+          items += `<li>${renderInlineMarkdown(content.replace(/:\s*$/, ''))}${nested}</li>`;
+          i += 1; // consume the next item as nested
+          continue;
+        }
+      }
+
+      items += `<li${valueAttr}>${renderInlineMarkdown(item.content)}</li>`;
+    }
+    if (items) {
+      segments.push(`<${tag}${startAttr}${styleAttr}>${items}</${tag}>`);
+    }
+    listContext = null;
+  };
+
+  const ensureList = (type) => {
+    if (!listContext || listContext.type !== type) {
+      flushParagraph();
+      flushList();
+      listContext = { type, items: [] };
+    }
+  };
+
+  for (const rawLine of lines) {
+    const trimmed = rawLine.trim();
+
+    if (!trimmed) {
+      if (listContext) {
+        // Allow blank lines within lists without breaking the list; treat as soft break inside item if needed later
+        // Here we simply ignore to avoid empty <li>
+      } else {
+        flushParagraph();
+      }
+      continue;
+    }
+
+    const headingMatch = trimmed.match(/^(#{1,6})\s*(.*)$/);
+    if (headingMatch) {
+      flushParagraph();
+      flushList();
+      const level = Math.min(headingMatch[1].length, 6);
+      const content = headingMatch[2] || '';
+      segments.push(`<h${level}>${renderInlineMarkdown(content)}</h${level}>`);
+      continue;
+    }
+
+    if (/^(-{3,}|_{3,}|\*{3,})$/.test(trimmed)) {
+      flushParagraph();
+      flushList();
+      segments.push('<hr />');
+      continue;
+    }
+
+    const blockquoteMatch = trimmed.match(/^>\s?(.*)$/);
+    if (blockquoteMatch) {
+      flushParagraph();
+      flushList();
+      segments.push(`<blockquote>${renderInlineMarkdown(blockquoteMatch[1])}</blockquote>`);
+      continue;
+    }
+
+    const orderedMatch = trimmed.match(/^(\d+)[.)]\s+(.*)$/);
+    if (orderedMatch && orderedMatch[2].trim()) {
+      ensureList('ordered');
+      listContext.items.push({ ordinal: Number(orderedMatch[1]), content: orderedMatch[2] });
+      continue;
+    }
+
+    const unorderedMatch = trimmed.match(/^[-*+]\s+(.*)$/);
+    if (unorderedMatch && unorderedMatch[1].trim()) {
+      ensureList('unordered');
+      listContext.items.push({ content: unorderedMatch[1] });
+      continue;
+    }
+
+    if (/^[-–—]$/.test(trimmed)) {
+      flushParagraph();
+      continue;
+    }
+
+    const dashParagraph = trimmed.match(/^[-–—]\s*(.*)$/);
+    if (dashParagraph && dashParagraph[1]) {
+      flushParagraph();
+      paragraphBuffer.push(dashParagraph[1]);
+      continue;
+    }
+
+    // Normal text line → part of paragraph
+    flushList();
+    paragraphBuffer.push(trimmed);
+  }
+
+  flushParagraph();
+  flushList();
+
+  return segments.join('');
+}
+
+module.exports = {
+  escapeHtml,
+  escapeHtmlAttribute,
+  renderInlineMarkdown,
+  markdownToDivHtml,
+  markdownToHtml,
+};
@@ -0,0 +1,279 @@
+'use strict';
+
+/**
+ * Declarative Airtable-to-metafield mapping shared by the product sync and the
+ * bundle function. Each entry in metafield-mapping.json names the Airtable
+ * aliases to read (the first one with a value wins), the target namespace/key,
+ * the metafield type and the transform applied to the value. An entry with a
+ * `scope` is read by that sync only; entries without one are read by both.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { asSingleLineValue, asMultiLineValue, toIntegerString, toDecimalString } = require('./field-values');
+const { markdownToDivHtml, markdownToHtml, renderInlineMarkdown } = require('./markdown');
+
+const DEFAULT_MAPPING_PATH = path.join(__dirname, 'metafield-mapping.json');
+const LIST_SEPARATORS = ['line', 'comma'];
+const RANGE_BOUNDS = ['min', 'max'];
+const MAPPING_SCOPES = ['product', 'bundle'];
+const mappingCache = new Map();
+
+// A single number is both bounds; otherwise the first two numbers, in either order. `40-100` is a range, not -100.
+function parseRangeBound(input, bound) {
+  const text = (Array.isArray(input) ? input.join(' ') : String(input ?? '')).replace(/(\d)\s*[-–]\s*(?=\d)/g, '$1 ');
+  const numbers = (text.replace(/,/g, ' ').match(/-?\d+(\.\d+)?/g) || []).slice(0, 2).map(Number);
+  if (!numbers.length) return undefined;
+  return bound === 'max' ? Math.max(...numbers) : Math.min(...numbers);
+}
+
+// Temperatures are stored in °C; a °F unit on any of the entry's fields converts the value.
+function isFahrenheit(product, entry) {
+  return entry.aliases.some((alias) => {
+    const value = product[alias];
+    if (value === undefined || value === null) return false;
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    return /(?:deg\s*F|°\s*F|\bF\b)/i.test(text);
+  });
+}
+
+const LIST_ITEM_TRANSFORMS = {
+  'strip-list-marker': (item) => item.replace(/^[-*]\s+/, '').replace(/^\d+\.\s+/, ''),
+  'inline-markdown': (item) => renderInlineMarkdown(item),
+};
+
+const TRANSFORMS = {
+  'single-line': (source) => asSingleLineValue(source),
+  'multi-line': (source) => asMultiLineValue(source),
+  'markdown-div': (source) => markdownToDivHtml(source),
+  markdown: (source) => markdownToHtml(source),
+  integer: (source) => toIntegerString(source),
+  decimal: (source) => toDecimalString(source),
+  'celsius-range': (source, entry, product) => {
+    const value = parseRangeBound(source, entry.bound);
+    if (value === undefined) return undefined;
+    return String(isFahrenheit(product, entry) ? ((value - 32) * 5) / 9 : value);
+  },
+  list: (source, entry) => {
+    const raw = entry.separator === 'comma' ? asSingleLineValue(source) : asMultiLineValue(source);
+    if (!raw) {
+      return undefined;
+    }
+    const itemTransform = LIST_ITEM_TRANSFORMS[entry.item] || ((item) => item);
+    const items = raw
+      .split(entry.separator === 'comma' ? ',' : '\n')
+      .map((item) => itemTransform(item.trim()))
+      .filter(Boolean);
+    return items.length > 0 ? JSON.stringify(items) : undefined;
+  },
+};
+
+function validateMappingEntry(entry, index) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object') {
+    return ['must be an object'];
+  }
+  if (typeof entry.key !== 'string' || !entry.key.trim()) problems.push('"key" is required');
+  if (typeof entry.type !== 'string' || !entry.type.trim()) problems.push('"type" is required');
+  if (!TRANSFORMS[entry.transform]) {
+    problems.push(`"transform" must be one of ${Object.keys(TRANSFORMS).join(', ')}`);
+  }
+  if (!Array.isArray(entry.aliases) || !entry.aliases.length || entry.aliases.some((alias) => typeof alias !== 'string')) {
+    problems.push('"aliases" must be a non-empty list of Airtable field names');
+  }
+  if (entry.transform === 'list') {
+    if (entry.separator !== undefined && !LIST_SEPARATORS.includes(entry.separator)) {
+      problems.push(`"separator" must be one of ${LIST_SEPARATORS.join(', ')}`);
+    }
+    if (entry.item !== undefined && !LIST_ITEM_TRANSFORMS[entry.item]) {
+      problems.push(`"item" must be one of ${Object.keys(LIST_ITEM_TRANSFORMS).join(', ')}`);
+    }
+  }
+  if (entry.transform === 'celsius-range' && !RANGE_BOUNDS.includes(entry.bound)) {
+    problems.push(`"bound" must be one of ${RANGE_BOUNDS.join(', ')}`);
+  }
+  if (entry.scope !== undefined && !MAPPING_SCOPES.includes(entry.scope)) {
+    problems.push(`"scope" must be one of ${MAPPING_SCOPES.join(', ')}`);
+  }
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    problems.push('"description" must be a string');
+  }
+  return problems.map((problem) => `entry ${index} (${entry.key || 'no key'}) ${problem}`);
+}
+
+/**
+ * Reads and validates a mapping file, `METAFIELD_MAPPING_PATH` by default, and
+ * returns the entries `scope` reads. Throws on malformed entries, on keys
+ * mapped more than once within a scope and on keys whose type differs between
+ * scopes (both syncs write to the same store definition), so a bad mapping
+ * fails at startup rather than on the first write.
+ */
+function loadMetafieldMapping(filePath = process.env.METAFIELD_MAPPING_PATH || DEFAULT_MAPPING_PATH, scope = 'product') {
+  if (!MAPPING_SCOPES.includes(scope)) {
+    throw new Error(`Unknown metafield mapping scope "${scope}"; expected one of ${MAPPING_SCOPES.join(', ')}.`);
+  }
+  const resolved = path.resolve(filePath);
+  if (!mappingCache.has(resolved)) {
+    mappingCache.set(resolved, readMetafieldMapping(resolved));
+  }
+  return mappingCache.get(resolved).filter((entry) => !entry.scope || entry.scope === scope);
+}
+
+function readMetafieldMapping(resolved) {
+  const parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const entries = Array.isArray(parsed) ? parsed : parsed?.metafields;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid metafield mapping ${resolved}: expected a "metafields" array.`);
+  }
+
+  const problems = entries.flatMap((entry, index) => validateMappingEntry(entry, index));
+  const types = new Map();
+  for (const scope of MAPPING_SCOPES) {
+    const seen = new Set();
+    for (const entry of entries.filter((candidate) => !candidate?.scope || candidate.scope === scope)) {
+      const id = `${entry?.namespace || 'custom'}.${entry?.key}`;
+      if (seen.has(id)) {
+        problems.push(`${id} is mapped more than once for the ${scope} sync`);
+      }
+      seen.add(id);
+      if (types.has(id) && types.get(id) !== entry?.type) {
+        problems.push(`${id} is mapped as both ${types.get(id)} and ${entry?.type}`);
+      }
+      types.set(id, entry?.type);
+    }
+  }
+  if (problems.length) {
+    throw new Error(`Invalid metafield mapping ${resolved}: ${Array.from(new Set(problems)).join('; ')}.`);
+  }
+
+  return entries.map((entry) => ({ ...entry, namespace: entry.namespace || 'custom' }));
+}
+
+// Builds the metafield inputs for one record; fields without a value are left out.
+function buildMappedMetafields(product, mapping = loadMetafieldMapping()) {
+  const metafields = [];
+  for (const entry of mapping) {
+    const source = entry.aliases
+      .map((alias) => product[alias])
+      .find((value) => value !== undefined && value !== null && value !== '');
+    const value = TRANSFORMS[entry.transform](source, entry, product);
+    if (value) {
+      metafields.push({
+        namespace: entry.namespace,
+        key: entry.key,
+        type: entry.type,
+        value,
+      });
+    }
+  }
+  return metafields;
+}
+
+// The alias each mapping entry read from, keyed by `namespace.key`; entries that found no value are left out.
+function findMappingSources(product, mapping = loadMetafieldMapping()) {
+  const sources = new Map();
+  for (const entry of mapping) {
+    const alias = entry.aliases.find((candidate) => {
+      const value = product[candidate];
+      return value !== undefined && value !== null && value !== '';
+    });
+    if (alias) {
+      sources.set(`${entry.namespace}.${entry.key}`, alias);
+    }
+  }
+  return sources;
+}
+
+function normaliseFieldName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0..1; the better of character similarity (typos) and shared words (a word added or dropped).
+function fieldNameSimilarity(a, b) {
+  const left = normaliseFieldName(a);
+  const right = normaliseFieldName(b);
+  if (!left || !right) {
+    return 0;
+  }
+  const characters = 1 - editDistance(left, right) / Math.max(left.length, right.length);
+  const leftWords = new Set(left.split(' '));
+  const rightWords = new Set(right.split(' '));
+  const shared = Array.from(leftWords).filter((word) => rightWords.has(word)).length;
+  const words = (2 * shared) / (leftWords.size + rightWords.size);
+  return Math.max(characters, words);
+}
+
+const SUGGESTION_THRESHOLD = 0.6;
+
+// Closest candidate above SUGGESTION_THRESHOLD, or undefined.
+function suggestFieldName(field, candidates) {
+  let best;
+  let bestScore = SUGGESTION_THRESHOLD;
+  for (const candidate of candidates) {
+    const score = fieldNameSimilarity(field, candidate);
+    if (score >= bestScore && (best === undefined || score > bestScore)) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Record keys that neither the mapping nor the sync itself reads, each with a
+ * `didYouMean` suggestion when one is close enough. Aliases of mapping entries
+ * that got no value from this record are preferred, since that is what a
+ * renamed Airtable column looks like.
+ */
+function findUnmappedFields(product, options = {}) {
+  const {
+    mapping = loadMetafieldMapping(),
+    knownFields = [],
+    knownPatterns = [],
+    ignoredFields = [],
+  } = options;
+  const mappedAliases = new Set(mapping.flatMap((entry) => entry.aliases));
+  const known = new Set([...mappedAliases, ...knownFields, ...ignoredFields]);
+  const sources = findMappingSources(product, mapping);
+  const present = new Set(Object.keys(product));
+  const unfilledAliases = mapping
+    .filter((entry) => !sources.has(`${entry.namespace}.${entry.key}`))
+    .flatMap((entry) => entry.aliases)
+    .filter((alias) => !present.has(alias));
+  const otherCandidates = Array.from(new Set([...mappedAliases, ...knownFields]))
+    .filter((candidate) => !present.has(candidate));
+
+  return Object.keys(product)
+    .filter((field) => !known.has(field) && !knownPatterns.some((pattern) => pattern.test(field)))
+    .map((field) => {
+      const didYouMean = suggestFieldName(field, unfilledAliases) || suggestFieldName(field, otherCandidates);
+      return didYouMean ? { field, didYouMean } : { field };
+    });
+}
+
+module.exports = {
+  DEFAULT_MAPPING_PATH,
+  MAPPING_SCOPES,
+  loadMetafieldMapping,
+  buildMappedMetafields,
+  findMappingSources,
+  suggestFieldName,
+  findUnmappedFields,
+};
@@ -0,0 +1,271 @@
+'use strict';
+
+/**
+ * Schemas for the Airtable product record and the bundle payload, checked
+ * before any Shopify call so a bad value is reported against its field rather
+ * than surfacing later as an opaque `userErrors` message.
+ *
+ * The schemas use a small subset of JSON Schema: `type`, `anyOf`, `properties`,
+ * `patternProperties`, `required`, `items`, `pattern`, `minimum`, `minLength`
+ * and `minItems`. `title` is the wording used in error messages.
+ */
+
+const VALIDATION_MODES = ['strict', 'lenient'];
+
+const PRICE = {
+  title: 'a non-negative number',
+  anyOf: [
+    { type: 'number', minimum: 0 },
+    { type: 'string', pattern: '^\\s*\\d+(\\.\\d+)?\\s*$' },
+  ],
+};
+
+const QUANTITY = {
+  title: 'a whole number',
+  anyOf: [
+    { type: 'integer' },
+    { type: 'string', pattern: '^\\s*-?\\d+\\s*$' },
+  ],
+};
+
+const SCALAR = {
+  title: 'a string or number',
+  type: ['string', 'number'],
+};
+
+const FLAG = {
+  title: 'a boolean, or a yes/no, true/false or 1/0 value',
+  anyOf: [
+    { type: 'boolean' },
+    { type: 'number' },
+    { type: 'string', pattern: '^\\s*(true|false|yes|no|y|n|on|off|1|0)?\\s*$', flags: 'i' },
+  ],
+};
+
+const TEXT_OR_LIST = {
+  title: 'a string or a list of strings',
+  anyOf: [
+    SCALAR,
+    { type: 'array', items: SCALAR },
+  ],
+};
+
+const URL_TEXT = { type: 'string', pattern: '^\\s*https?://\\S+\\s*$' };
+
+// Airtable attachment objects; media falls back from thumbnails to `url`.
+const ATTACHMENT = {
+  title: 'an Airtable attachment',
+  type: 'object',
+  required: ['url'],
+  properties: {
+    id: { type: 'string' },
+    url: { ...URL_TEXT, title: 'an http(s) URL' },
+    filename: { type: 'string' },
+    type: { type: 'string' },
+    thumbnails: { type: 'object' },
+  },
+};
+
+// A URL, or an object carrying one under url/link/href/path (Airtable attachments included).
+const DOCUMENT = {
+  title: 'a URL or an attachment with a url, link, href or path',
+  anyOf: [
+    URL_TEXT,
+    { type: 'object', required: ['url'], properties: { url: URL_TEXT } },
+    { type: 'object', required: ['link'], properties: { link: URL_TEXT } },
+    { type: 'object', required: ['href'], properties: { href: URL_TEXT } },
+    { type: 'object', required: ['path'], properties: { path: { type: 'string', minLength: 1 } } },
+  ],
+};
+
+const PRODUCT_RECORD_SCHEMA = {
+  title: 'a product record object',
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    'Product Name': SCALAR,
+    'Shopify Product Id': SCALAR,
+    SKU: SCALAR,
+    'Website Retail Price': PRICE,
+    MSRP: PRICE,
+    'Vendor Price': PRICE,
+    'True Web Cost': PRICE,
+    'Inventory Quantity': QUANTITY,
+    'Track Inventory': FLAG,
+    'Sell on Website': FLAG,
+    Discontinued: FLAG,
+    available: FLAG,
+    Collection: TEXT_OR_LIST,
+    Image: { title: 'a list of Airtable attachments', type: 'array', items: ATTACHMENT },
+    'Product Documentation': {
+      title: 'a document or a list of documents',
+      anyOf: [DOCUMENT, { type: 'array', items: DOCUMENT }],
+    },
+    'Option 1 Name': SCALAR,
+    'Option 1 Value': SCALAR,
+    'Option 2 Name': SCALAR,
+    'Option 2 Value': SCALAR,
+    'Option 3 Name': SCALAR,
+    'Option 3 Value': SCALAR,
+  },
+  patternProperties: {
+    '^Inventory Quantity \\(.+\\)$': QUANTITY,
+  },
+};
+
+const BUNDLE_RECORD_SCHEMA = {
+  title: 'a bundle record object',
+  type: 'object',
+  required: ['Products'],
+  properties: {
+    id: { type: 'string' },
+    'Bundle Name': SCALAR,
+    Products: { title: 'a non-empty list of product record ids', type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    'Website Retail Price': PRICE,
+    MSRP: PRICE,
+    Collection: TEXT_OR_LIST,
+    Image: { title: 'a list of Airtable attachments', type: 'array', items: ATTACHMENT },
+  },
+};
+
+const BUNDLE_PAYLOAD_SCHEMA = {
+  title: 'an object with "bundles" and "products" arrays',
+  type: 'object',
+  required: ['bundles', 'products'],
+  properties: {
+    bundles: { type: 'array', items: BUNDLE_RECORD_SCHEMA },
+    products: { type: 'array', items: PRODUCT_RECORD_SCHEMA },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeSchema(schema) {
+  if (schema.title) return schema.title;
+  const types = [].concat(schema.type || []);
+  if (schema.pattern) return `a ${types.join(' or ') || 'value'} matching ${schema.pattern}`;
+  return types.length ? `a${/^[aeiou]/.test(types[0]) ? 'n' : ''} ${types.join(' or ')}` : 'a valid value';
+}
+
+function joinPath(path, segment) {
+  if (typeof segment === 'number') return `${path}[${segment}]`;
+  return path ? `${path}.${segment}` : segment;
+}
+
+/**
+ * Validates `value` against `schema` and returns `[{ path, message }]`, empty
+ * when the value is valid. `path` is relative to the value, e.g.
+ * `Image[0].url` or `bundles[2].Products`.
+ */
+function validateValue(schema, value, path = '') {
+  // Airtable leaves empty fields out or sends null/''; "no value" is never a type error.
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((option) => validateValue(option, value, path).length === 0);
+    return matched ? [] : [{ path, message: `must be ${describeSchema(schema)}` }];
+  }
+
+  if (schema.type && ![].concat(schema.type).some((type) => matchesType(value, type))) {
+    return [{ path, message: `must be ${describeSchema(schema)}` }];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path, message: 'must not be empty' });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, schema.flags).test(value)) {
+      errors.push({ path, message: `must be ${describeSchema(schema)}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      errors.push({ path, message: `must be ${describeSchema(schema)}` });
+    } else if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(schema.items, item, joinPath(path, index)));
+      });
+    }
+  }
+  if (typeOf(value) === 'object') {
+    for (const field of schema.required || []) {
+      const fieldValue = value[field];
+      if (fieldValue === undefined || fieldValue === null || fieldValue === '') {
+        errors.push({ path: joinPath(path, field), message: 'is required' });
+      }
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      const fieldSchema = schema.properties?.[field]
+        || Object.entries(schema.patternProperties || {}).find(([pattern]) => new RegExp(pattern).test(field))?.[1];
+      if (fieldSchema) {
+        errors.push(...validateValue(fieldSchema, fieldValue, joinPath(path, field)));
+      }
+    }
+  }
+  return errors;
+}
+
+// Records that are not objects at all (e.g. a stray string) are invalid as a whole.
+function validateRecord(schema, record) {
+  if (typeOf(record) !== 'object') {
+    return [{ path: '', message: `must be ${describeSchema(schema)}` }];
+  }
+  return validateValue(schema, record);
+}
+
+/**
+ * Splits `records` into `valid` (the records themselves, in order) and
+ * `invalid` (`{ index, recordId, errors }`).
+ */
+function validateRecords(records, schema = PRODUCT_RECORD_SCHEMA) {
+  const valid = [];
+  const invalid = [];
+  records.forEach((record, index) => {
+    const errors = validateRecord(schema, record);
+    if (errors.length) {
+      const recordId = typeOf(record) === 'object' && typeof record.id === 'string' ? record.id : null;
+      invalid.push({ index, recordId, errors });
+    } else {
+      valid.push(record);
+    }
+  });
+  return { valid, invalid };
+}
+
+// `strict` rejects a batch with any invalid record; `lenient` skips just those records.
+function resolveValidationMode(value, fallback = process.env.RECORD_VALIDATION_MODE) {
+  const candidates = [value, fallback].map((candidate) => String(candidate || '').trim().toLowerCase());
+  return candidates.find((mode) => VALIDATION_MODES.includes(mode)) || 'lenient';
+}
+
+module.exports = {
+  VALIDATION_MODES,
+  PRODUCT_RECORD_SCHEMA,
+  BUNDLE_RECORD_SCHEMA,
+  BUNDLE_PAYLOAD_SCHEMA,
+  validateValue,
+  validateRecord,
+  validateRecords,
+  resolveValidationMode,
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffVariants } = require('../index.js');
+
+const desired = (sku, fields = {}) => ({ inventoryItem: { sku }, ...fields });
+
+test('diffVariants matches variants by trimmed SKU and reports changed fields', () => {
+  const diff = diffVariants(
+    [desired('AW-1 ', { price: '199.00', compareAtPrice: '249', inventoryPolicy: 'DENY' })],
+    [{ sku: 'AW-1', price: '179.00', compareAtPrice: '249.00', inventoryPolicy: 'DENY' }]
+  );
+
+  assert.deepEqual(diff, {
+    changed: [{ sku: 'AW-1', field: 'price', from: '179.00', to: '199.00' }],
+    added: [],
+    removed: [],
+  });
+});
+
+test('diffVariants compares prices as numbers', () => {
+  const diff = diffVariants(
+    [desired('AW-1', { price: '10', compareAtPrice: 12.5 })],
+    [{ sku: 'AW-1', price: '10.00', compareAtPrice: '12.50' }]
+  );
+
+  assert.deepEqual(diff.changed, []);
+});
+
+test('diffVariants leaves out fields the record does not set', () => {
+  const diff = diffVariants(
+    [desired('AW-1', { price: '10.00' })],
+    [{ sku: 'AW-1', price: '10.00', compareAtPrice: '15.00', inventoryPolicy: 'CONTINUE' }]
+  );
+
+  assert.deepEqual(diff.changed, []);
+});
+
+test('diffVariants reports a missing compare-at price as null', () => {
+  const diff = diffVariants(
+    [desired('AW-1', { compareAtPrice: '15.00' })],
+    [{ sku: 'AW-1', compareAtPrice: null }]
+  );
+
+  assert.deepEqual(diff.changed, [{ sku: 'AW-1', field: 'compareAtPrice', from: null, to: '15.00' }]);
+});
+
+test('diffVariants lists added and removed SKUs', () => {
+  const diff = diffVariants(
+    [desired('AW-1', { price: '10.00' }), desired('AW-3', { price: '30.00' })],
+    [{ sku: 'AW-1', price: '10.00' }, { sku: 'AW-2', price: '20.00' }]
+  );
+
+  assert.deepEqual(diff.added, ['AW-3']);
+  assert.deepEqual(diff.removed, ['AW-2']);
+});
+
+test('diffVariants skips variants without a SKU', () => {
+  const diff = diffVariants(
+    [null, { price: '10.00' }, desired('', { price: '5.00' })],
+    [{ sku: null, price: '1.00' }]
+  );
+
+  assert.deepEqual(diff, { changed: [], added: [], removed: [] });
+});
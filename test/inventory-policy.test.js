@@ -0,0 +1,23 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveInventoryPolicy } = require('../index.js');
+
+test('resolveInventoryPolicy stops tracked variants from selling at zero stock', () => {
+  assert.equal(resolveInventoryPolicy(undefined, true), 'DENY');
+});
+
+test('resolveInventoryPolicy keeps selling untracked variants', () => {
+  assert.equal(resolveInventoryPolicy(undefined, false), 'CONTINUE');
+});
+
+test('resolveInventoryPolicy lets `available: true` oversell tracked variants', () => {
+  assert.equal(resolveInventoryPolicy(true, true), 'CONTINUE');
+});
+
+test('resolveInventoryPolicy denies `available: false` whether tracked or not', () => {
+  assert.equal(resolveInventoryPolicy(false, true), 'DENY');
+  assert.equal(resolveInventoryPolicy(false, false), 'DENY');
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { loadMetafieldMapping, buildMappedMetafields } = require('../metafield-mapping');
+
+const entry = (fields) => ({ namespace: 'custom', key: 'value', type: 'single_line_text_field', aliases: ['Value'], ...fields });
+const valueOf = (mappingEntry, product) => buildMappedMetafields(product, [mappingEntry])[0]?.value;
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metafield-mapping-'));
+let mappingCount = 0;
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Mappings are cached by path, so each one gets a file of its own.
+function writeMapping(metafields) {
+  mappingCount += 1;
+  const filePath = path.join(tempDir, `mapping-${mappingCount}.json`);
+  fs.writeFileSync(filePath, JSON.stringify({ metafields }));
+  return filePath;
+}
+
+test('single-line collapses whitespace and joins lists with commas', () => {
+  const single = entry({ transform: 'single-line' });
+  assert.equal(valueOf(single, { Value: '  3 to 5\n people ' }), '3 to 5 people');
+  assert.equal(valueOf(single, { Value: ['NSF 42', ' NSF 53 '] }), 'NSF 42, NSF 53');
+});
+
+test('integer and decimal read the first number', () => {
+  assert.equal(valueOf(entry({ type: 'number_integer', transform: 'integer' }), { Value: 'about 1499.6 GPD' }), '1500');
+  assert.equal(valueOf(entry({ type: 'number_decimal', transform: 'decimal' }), { Value: 'pH 6.5 - 8.5' }), '6.5');
+  assert.equal(valueOf(entry({ type: 'number_decimal', transform: 'decimal' }), { Value: 'n/a' }), undefined);
+});
+
+test('celsius-range keeps the requested bound and converts °F', () => {
+  const bound = (value) => entry({ type: 'number_decimal', transform: 'celsius-range', bound: value });
+  assert.equal(valueOf(bound('min'), { Value: '40-100' }), '40');
+  assert.equal(valueOf(bound('max'), { Value: '40-100' }), '100');
+  assert.equal(valueOf(bound('max'), { Value: '5' }), '5');
+  assert.equal(valueOf(bound('max'), { Value: '50 - 212 °F' }), '100');
+});
+
+test('list splits on lines or commas and cleans items', () => {
+  const lines = entry({ type: 'list.single_line_text_field', transform: 'list', item: 'strip-list-marker' });
+  assert.equal(valueOf(lines, { Value: '- Chlorine\n2. Lead\n\n* Iron' }), '["Chlorine","Lead","Iron"]');
+  const commas = entry({ type: 'list.single_line_text_field', transform: 'list', separator: 'comma' });
+  assert.equal(valueOf(commas, { Value: 'NSF 42, NSF 53' }), '["NSF 42","NSF 53"]');
+});
+
+test('markdown-div renders paragraphs as <div>s', () => {
+  const div = entry({ type: 'multi_line_text_field', transform: 'markdown-div' });
+  assert.match(valueOf(div, { Value: '2-3 hours' }), /^<div[^>]*>2-3 hours<\/div>$/);
+});
+
+test('the first alias with a value wins and empty values are skipped', () => {
+  const aliased = entry({ transform: 'single-line', aliases: ['Operating Pressures', 'Operating Pressure'] });
+  assert.equal(valueOf(aliased, { 'Operating Pressure': '40 psi', 'Operating Pressures': '20-80 psi' }), '20-80 psi');
+  assert.equal(valueOf(aliased, { 'Operating Pressures': '', 'Operating Pressure': '40 psi' }), '40 psi');
+  assert.deepEqual(buildMappedMetafields({}, [aliased]), []);
+});
+
+test('the product sync and the bundle function read their own keys', () => {
+  const ids = (scope) => new Map(loadMetafieldMapping(undefined, scope).map((item) => [`${item.namespace}.${item.key}`, item.type]));
+  const product = ids('product');
+  const bundle = ids('bundle');
+
+  assert.equal(product.get('custom.occupants'), 'single_line_text_field');
+  assert.equal(product.get('custom.certifications'), 'list.single_line_text_field');
+  assert.equal(product.has('custom.Occupants'), false);
+  assert.equal(bundle.get('custom.Occupants'), 'single_line_text_field');
+  assert.equal(bundle.get('custom.Certifications'), 'single_line_text_field');
+  assert.equal(bundle.get('product.system_capacity_gpd'), 'number_integer');
+  assert.equal(bundle.has('custom.occupants'), false);
+  assert.equal(product.get('custom.estimated_installation_time'), 'multi_line_text_field');
+  assert.equal(bundle.get('custom.bundle_details'), product.get('custom.bundle_details'));
+});
+
+test('loadMetafieldMapping rejects keys mapped twice in a scope or with two types', () => {
+  const base = { key: 'capacity', type: 'single_line_text_field', transform: 'single-line', aliases: ['Capacity'] };
+  assert.throws(() => loadMetafieldMapping(writeMapping([base, { ...base, scope: 'bundle' }])), /mapped more than once for the bundle sync/);
+  assert.throws(
+    () => loadMetafieldMapping(writeMapping([{ ...base, scope: 'product' }, { ...base, scope: 'bundle', type: 'number_integer', transform: 'integer' }])),
+    /mapped as both single_line_text_field and number_integer/
+  );
+  assert.equal(loadMetafieldMapping(writeMapping([{ ...base, scope: 'product' }, { ...base, scope: 'bundle' }]), 'bundle').length, 1);
+});
+
+test('loadMetafieldMapping rejects unknown transforms and scopes', () => {
+  assert.throws(
+    () => loadMetafieldMapping(writeMapping([{ key: 'x', type: 'single_line_text_field', transform: 'upper', aliases: ['X'], scope: 'store' }])),
+    /"transform" must be one of .*"scope" must be one of product, bundle/
+  );
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read once when index.js loads; each test file runs in its own process.
+process.env.PROTECTED_COLLECTIONS = 'Best Sellers, clearance';
+delete process.env.PRUNABLE_COLLECTIONS;
+
+const { planCollectionRemovals } = require('../index.js');
+
+const collection = (id, title, handle, extra = {}) => ({ id: `gid://shopify/Collection/${id}`, title, handle, ...extra });
+
+test('planCollectionRemovals keeps collections the record still lists, by title or handle', () => {
+  const plan = planCollectionRemovals(
+    [collection(1, 'Water Softeners', 'water-softeners'), collection(2, 'Whole House', 'whole-house-systems')],
+    ['water softeners', 'Whole-House-Systems']
+  );
+
+  assert.deepEqual(plan, { remove: [], kept: [] });
+});
+
+test('planCollectionRemovals removes manual collections the record no longer lists', () => {
+  const plan = planCollectionRemovals([collection(1, 'Water Softeners', 'water-softeners'), collection(2, 'Filters', 'filters')], ['Filters']);
+
+  assert.deepEqual(plan.remove, [{ name: 'Water Softeners', collectionId: 'gid://shopify/Collection/1' }]);
+});
+
+test('planCollectionRemovals keeps smart and protected collections and says why', () => {
+  const plan = planCollectionRemovals(
+    [
+      collection(1, 'New Arrivals', 'new-arrivals', { ruleSet: { rules: [] } }),
+      collection(2, 'Best Sellers', 'best-sellers'),
+      collection(3, 'Last Chance', 'clearance'),
+    ],
+    []
+  );
+
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.kept.map(({ name, reason }) => ({ name, reason })), [
+    { name: 'New Arrivals', reason: 'smart collection' },
+    { name: 'Best Sellers', reason: 'protected' },
+    { name: 'Last Chance', reason: 'protected' },
+  ]);
+});
+
+test('planCollectionRemovals leaves collections passed in keepIds alone', () => {
+  const plan = planCollectionRemovals([collection(1, 'Just Created', 'just-created')], [], ['gid://shopify/Collection/1']);
+
+  assert.deepEqual(plan, { remove: [], kept: [] });
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { planMediaSync } = require('../index.js');
+
+const entry = (attachmentId, alt = `Image ${attachmentId}`) => ({ attachmentId, input: { alt } });
+const state = (media, sourceMap) => ({
+  media,
+  metafields: sourceMap
+    ? [{ namespace: 'custom', key: 'airtable_media_map', value: JSON.stringify(sourceMap) }]
+    : [],
+});
+
+test('planMediaSync keeps tracked media and uploads new attachments', () => {
+  const plan = planMediaSync(
+    [entry('att1'), entry('att2')],
+    state([{ id: 'media1', alt: 'Image att1' }], { att1: 'media1' })
+  );
+
+  assert.deepEqual(Array.from(plan.keep), [['att1', 'media1']]);
+  assert.deepEqual(plan.create.map((item) => item.attachmentId), ['att2']);
+  assert.deepEqual(plan.remove, []);
+  assert.deepEqual(plan.altUpdates, []);
+});
+
+test('planMediaSync deletes tracked media whose attachment left Airtable', () => {
+  const plan = planMediaSync(
+    [entry('att1')],
+    state([{ id: 'media1', alt: 'Image att1' }, { id: 'media2', alt: '' }], { att1: 'media1', att2: 'media2' })
+  );
+
+  assert.deepEqual(plan.remove, ['media2']);
+});
+
+test('planMediaSync never deletes media missing from the source map', () => {
+  const plan = planMediaSync(
+    [entry('att1')],
+    state([{ id: 'media1', alt: 'Image att1' }, { id: 'admin-upload', alt: 'Lifestyle shot' }], { att1: 'media1' })
+  );
+
+  assert.deepEqual(plan.remove, []);
+});
+
+test('planMediaSync uploads every attachment again when no source map exists yet', () => {
+  const plan = planMediaSync([entry('att1')], state([{ id: 'legacy', alt: '' }]));
+
+  assert.deepEqual(plan.create.map((item) => item.attachmentId), ['att1']);
+  assert.deepEqual(plan.remove, []);
+});
+
+test('planMediaSync re-uploads an attachment whose media was deleted in Shopify', () => {
+  const plan = planMediaSync([entry('att1')], state([], { att1: 'media1' }));
+
+  assert.deepEqual(plan.create.map((item) => item.attachmentId), ['att1']);
+  assert.deepEqual(plan.remove, []);
+});
+
+test('planMediaSync updates alt text on kept media', () => {
+  const plan = planMediaSync(
+    [entry('att1', 'Front view')],
+    state([{ id: 'media1', alt: 'Old alt' }], { att1: 'media1' })
+  );
+
+  assert.deepEqual(plan.altUpdates, [{ id: 'media1', alt: 'Front view' }]);
+});
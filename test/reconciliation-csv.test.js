@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { reconciliationReportToCsv } = require('../index.js');
+
+const emptyReport = { orphans: [], staleIds: [], skuMismatches: [], unsynced: [] };
+
+test('reconciliationReportToCsv writes only the header for a clean catalog', () => {
+  assert.equal(reconciliationReportToCsv(emptyReport), 'issue,recordId,productId,sku,title,shopifySkus,detail');
+});
+
+test('reconciliationReportToCsv writes one row per issue, grouped by kind', () => {
+  const csv = reconciliationReportToCsv({
+    orphans: [{ recordId: 'rec1', productId: 'gid://shopify/Product/1', title: 'Old filter', skus: ['F-1', 'F-2'], status: 'ACTIVE' }],
+    staleIds: [{ recordId: 'rec2', productId: 'gid://shopify/Product/2', sku: 'S-2', title: 'Softener' }],
+    skuMismatches: [{ type: 'missing', recordId: 'rec3', productId: 'gid://shopify/Product/3', sku: 'M-3', title: 'Membrane', shopifySkus: ['M-30'] }],
+    unsynced: [{ recordId: 'rec4', sku: 'U-4', title: 'New system' }],
+  });
+
+  assert.deepEqual(csv.split('\n'), [
+    'issue,recordId,productId,sku,title,shopifySkus,detail',
+    'orphan,rec1,gid://shopify/Product/1,,Old filter,F-1; F-2,Shopify status ACTIVE',
+    'stale_id,rec2,gid://shopify/Product/2,S-2,Softener,,Shopify Product Id points at a deleted product',
+    'sku_missing,rec3,gid://shopify/Product/3,M-3,Membrane,M-30,',
+    'unsynced,rec4,,U-4,New system,,No Shopify product found for this record',
+  ]);
+});
+
+test('reconciliationReportToCsv quotes values with commas, quotes or line breaks', () => {
+  const csv = reconciliationReportToCsv({
+    ...emptyReport,
+    unsynced: [{ recordId: 'rec5', sku: 'Q-5', title: '10" Housing, "Big Blue"\nKit' }],
+  });
+
+  assert.equal(csv.split('\n').slice(1).join('\n'), 'unsynced,rec5,,Q-5,"10"" Housing, ""Big Blue""\nKit",,No Shopify product found for this record');
+});
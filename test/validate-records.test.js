@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateRecords, resolveValidationMode, BUNDLE_PAYLOAD_SCHEMA } = require('../record-schema');
+
+test('validateRecords accepts Airtable-shaped values', () => {
+  const record = {
+    id: 'rec1',
+    SKU: 'AW-1',
+    'Website Retail Price': '199.00',
+    MSRP: 249,
+    'Inventory Quantity': '12',
+    'Inventory Quantity (Warehouse)': 3,
+    'Track Inventory': 'yes',
+    Collection: ['Softeners', 'Whole House'],
+    Image: [{ id: 'att1', url: 'https://example.com/a.jpg' }],
+    'Product Documentation': { url: 'https://example.com/manual.pdf' },
+  };
+
+  assert.deepEqual(validateRecords([record]), { valid: [record], invalid: [] });
+});
+
+test('validateRecords reports each bad field with its path and record id', () => {
+  const { valid, invalid } = validateRecords([
+    { id: 'rec1', SKU: 'OK' },
+    { id: 'rec2', 'Website Retail Price': '-5', 'Inventory Quantity (Garage)': 1.5, Image: [{ url: 'ftp://x' }] },
+  ]);
+
+  assert.equal(valid.length, 1);
+  assert.deepEqual(invalid.map(({ index, recordId }) => ({ index, recordId })), [{ index: 1, recordId: 'rec2' }]);
+  assert.deepEqual(invalid[0].errors.map((error) => error.path), [
+    'Website Retail Price',
+    'Inventory Quantity (Garage)',
+    'Image[0].url',
+  ]);
+  assert.match(invalid[0].errors[0].message, /a non-negative number/);
+});
+
+test('validateRecords rejects values that are not records at all', () => {
+  const { invalid } = validateRecords(['rec1', null]);
+
+  assert.deepEqual(invalid.map(({ index, recordId, errors }) => ({ index, recordId, paths: errors.map((error) => error.path) })), [
+    { index: 0, recordId: null, paths: [''] },
+    { index: 1, recordId: null, paths: [''] },
+  ]);
+});
+
+test('validateRecords checks bundle payloads against their own schema', () => {
+  const { invalid } = validateRecords([{ bundles: [{ Products: [] }], products: [] }], BUNDLE_PAYLOAD_SCHEMA);
+
+  assert.deepEqual(invalid[0].errors.map((error) => error.path), ['bundles[0].Products']);
+});
+
+test('resolveValidationMode falls back to lenient', () => {
+  assert.equal(resolveValidationMode('STRICT', undefined), 'strict');
+  assert.equal(resolveValidationMode(undefined, 'strict'), 'strict');
+  assert.equal(resolveValidationMode('sometimes', undefined), 'lenient');
+});